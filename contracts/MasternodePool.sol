@@ -0,0 +1,325 @@
+//SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.20;
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./MasternodeStakingContract.sol";
+
+// Lets several contributors jointly fund the collateral of a single masternode.
+// The pool itself is the masternode account in the staking contract, so the staking contract's reward accounting is unaffected by pooling.
+contract MasternodePool {
+    enum PoolStatus { OPEN, REGISTERED, WITHDRAWING, CLOSED }
+
+    // Operator fees are expressed in basis points of the rewards.
+    uint256 public constant FEE_DENOMINATOR = 10_000;
+
+    MasternodeStakingContract public immutable stakingContract;
+
+    // The operator runs the masternode and controls its registration. It receives operatorFee basis points of all rewards.
+    address public immutable operator;
+    uint256 public immutable operatorFee;
+
+    // The collateral the pool registered with. Zero until the pool is registered.
+    uint256 public collateralAmount;
+
+    // The total deposits when the pool registered, which the contributors' shares are relative to. This is more than collateralAmount
+    // if the staking contract's collateral amount was lowered while the pool was open, in which case the difference is refunded.
+    uint256 public registeredDeposits;
+
+    PoolStatus public status;
+
+    uint256 public totalDeposits;
+    mapping(address => uint256) public deposits;
+
+    // Rewards are split in proportion to the deposits. totalRewards only ever increases, so each contributor's share of it
+    // minus what they have already withdrawn is what they are owed.
+    uint256 public totalRewards;
+    mapping(address => uint256) public rewardsWithdrawn;
+
+    uint256 public operatorBalance;
+
+    // Contributors holding more than half of the deposits can force the pool's withdrawal, so their collateral does not depend on the operator.
+    uint256 public withdrawalRequests;
+    mapping(address => bool) public withdrawalRequested;
+
+    mapping(address => bool) public excessWithdrawn;
+
+    event Deposit(address indexed _contributor, uint256 _amount);
+    event DepositWithdrawn(address indexed _contributor, uint256 _amount);
+    event PoolRegistered(uint256 _collateralAmount);
+    event RewardsCollected(uint256 _amount, uint256 _operatorFee);
+    event RewardsWithdrawn(address indexed _contributor, uint256 _amount);
+    event OperatorFeeWithdrawn(uint256 _amount);
+    event PoolWithdrawalStarted();
+    event PoolWithdrawalCancelled();
+    event PoolClosed();
+    event CollateralWithdrawn(address indexed _contributor, uint256 _amount);
+    event WithdrawalRequested(address indexed _contributor);
+    event WithdrawalRequestRevoked(address indexed _contributor);
+    event ExcessDepositWithdrawn(address indexed _contributor, uint256 _amount);
+
+    constructor(address _stakingContract, uint256 _operatorFee) {
+        require(_operatorFee <= FEE_DENOMINATOR, "Operator fee too high");
+
+        stakingContract = MasternodeStakingContract(_stakingContract);
+        operator = msg.sender;
+        operatorFee = _operatorFee;
+    }
+
+    function requiredCollateral() public view returns(uint256) {
+        // The amount that has to be deposited before the pool registers. This follows the staking contract's current collateral amount.
+        return stakingContract.legacy(address(this))
+            ? stakingContract.COLLATERAL_AMOUNT_LEGACY()
+            : stakingContract.COLLATERAL_AMOUNT();
+    }
+
+    receive() external payable {
+        // Only rewards and the returned collateral are accepted here, everything else would not be accounted for.
+        require(msg.sender == address(stakingContract), "Use deposit() to contribute");
+    }
+
+    function deposit() external payable {
+        require(status == PoolStatus.OPEN, "Pool is not open");
+        require(msg.value > 0, "Deposit amount must be positive");
+        uint256 required = requiredCollateral();
+
+        require(totalDeposits + msg.value <= required, "Deposit exceeds remaining collateral");
+
+        deposits[msg.sender] += msg.value;
+        totalDeposits += msg.value;
+
+        emit Deposit(msg.sender, msg.value);
+
+        // The deposit that fills the pool registers it as a masternode.
+        if (totalDeposits == required)
+        {
+            registerPool(required);
+        }
+    }
+
+    function register() external {
+        // Can be called by anyone to register a pool whose deposits already cover the collateral, which happens when the staking contract's
+        // collateral amount is lowered while the pool is open. The deposits beyond the collateral are refunded through withdrawExcessDeposit().
+        require(status == PoolStatus.OPEN, "Pool is not open");
+
+        uint256 required = requiredCollateral();
+
+        require(totalDeposits >= required, "Collateral not complete");
+
+        registerPool(required);
+    }
+
+    function registerPool(uint256 required) internal {
+        status = PoolStatus.REGISTERED;
+        collateralAmount = required;
+        registeredDeposits = totalDeposits;
+
+        emit PoolRegistered(collateralAmount);
+
+        stakingContract.register{value: collateralAmount}();
+    }
+
+    function withdrawDeposit() external {
+        // Contributors can change their mind until the pool is full.
+        require(status == PoolStatus.OPEN, "Pool is not open");
+
+        uint256 amount = deposits[msg.sender];
+
+        require(amount > 0, "No deposit");
+
+        delete deposits[msg.sender];
+        totalDeposits -= amount;
+
+        emit DepositWithdrawn(msg.sender, amount);
+
+        Address.sendValue(payable(msg.sender), amount);
+    }
+
+    function rewardsOwing(address contributor) public view returns(uint256) {
+        // Returns the amount of collected rewards that withdrawRewards() would currently pay out to the given contributor.
+        // Rewards still held by the staking contract are only included once claimRewards() has been called.
+        if (registeredDeposits == 0)
+        {
+            return 0;
+        }
+
+        return totalRewards * deposits[contributor] / registeredDeposits - rewardsWithdrawn[contributor];
+    }
+
+    function excessDeposit(address contributor) public view returns(uint256) {
+        // Returns the part of the contributor's deposit that the pool did not register with, which withdrawExcessDeposit() pays out.
+        if (registeredDeposits == 0 || excessWithdrawn[contributor])
+        {
+            return 0;
+        }
+
+        return deposits[contributor] - deposits[contributor] * collateralAmount / registeredDeposits;
+    }
+
+    function withdrawExcessDeposit() external {
+        uint256 amount = excessDeposit(msg.sender);
+
+        require(amount > 0, "No excess deposit");
+
+        excessWithdrawn[msg.sender] = true;
+
+        emit ExcessDepositWithdrawn(msg.sender, amount);
+
+        Address.sendValue(payable(msg.sender), amount);
+    }
+
+    function collectRewards(uint256 balanceBefore) internal {
+        // Treats any amount the staking contract has paid out since balanceBefore was taken as rewards.
+        uint256 amount = address(this).balance - balanceBefore;
+
+        if (amount == 0)
+        {
+            return;
+        }
+
+        uint256 fee = amount * operatorFee / FEE_DENOMINATOR;
+
+        operatorBalance += fee;
+        totalRewards += amount - fee;
+
+        emit RewardsCollected(amount, fee);
+    }
+
+    function claimRewards() external {
+        // Can be called by anyone to move the pool's rewards out of the staking contract.
+        require(status == PoolStatus.REGISTERED, "Pool not registered");
+
+        uint256 balanceBefore = address(this).balance;
+
+        stakingContract.claimRewards();
+
+        collectRewards(balanceBefore);
+    }
+
+    function withdrawRewards() external {
+        uint256 amount = rewardsOwing(msg.sender);
+
+        require(amount > 0, "No rewards owing");
+
+        rewardsWithdrawn[msg.sender] += amount;
+
+        emit RewardsWithdrawn(msg.sender, amount);
+
+        Address.sendValue(payable(msg.sender), amount);
+    }
+
+    function withdrawOperatorFee() external {
+        require(msg.sender == operator, "Caller is not the operator");
+
+        uint256 amount = operatorBalance;
+
+        require(amount > 0, "No operator fee owing");
+
+        operatorBalance = 0;
+
+        emit OperatorFeeWithdrawn(amount);
+
+        Address.sendValue(payable(operator), amount);
+    }
+
+    function heartbeat() external {
+        // The operator runs the masternode, so it is the one to signal that it is online.
+        require(msg.sender == operator, "Caller is not the operator");
+
+        stakingContract.heartbeat();
+    }
+
+    function withdrawalRequestedByContributors() public view returns(bool) {
+        return withdrawalRequests * 2 > registeredDeposits;
+    }
+
+    function requestWithdrawal() external {
+        // Records the contributor's vote to withdraw the pool's collateral. The vote is weighted by the contributor's deposit.
+        require(status == PoolStatus.REGISTERED || status == PoolStatus.WITHDRAWING, "Pool not registered");
+        require(deposits[msg.sender] > 0, "No deposit");
+        require(!withdrawalRequested[msg.sender], "Withdrawal already requested");
+
+        withdrawalRequested[msg.sender] = true;
+        withdrawalRequests += deposits[msg.sender];
+
+        emit WithdrawalRequested(msg.sender);
+    }
+
+    function revokeWithdrawalRequest() external {
+        require(status == PoolStatus.REGISTERED || status == PoolStatus.WITHDRAWING, "Pool not registered");
+        require(withdrawalRequested[msg.sender], "Withdrawal not requested");
+
+        delete withdrawalRequested[msg.sender];
+        withdrawalRequests -= deposits[msg.sender];
+
+        emit WithdrawalRequestRevoked(msg.sender);
+    }
+
+    function startWithdrawal() external {
+        // Besides the operator, anyone can start the withdrawal once the contributors have requested it or the masternode has been marked
+        // inactive, so the contributors can get their collateral back from an operator that has stopped running the masternode.
+        require(
+            msg.sender == operator || withdrawalRequestedByContributors() || stakingContract.inactive(address(this)),
+            "Caller is not the operator");
+        require(status == PoolStatus.REGISTERED, "Pool not registered");
+
+        status = PoolStatus.WITHDRAWING;
+
+        emit PoolWithdrawalStarted();
+
+        uint256 balanceBefore = address(this).balance;
+
+        // The staking contract pays out the outstanding rewards when the withdrawal starts.
+        stakingContract.startWithdrawal();
+
+        collectRewards(balanceBefore);
+    }
+
+    function cancelWithdrawal() external {
+        require(msg.sender == operator, "Caller is not the operator");
+        require(status == PoolStatus.WITHDRAWING, "Pool withdrawal not started");
+        require(!withdrawalRequestedByContributors(), "Withdrawal requested by the contributors");
+
+        status = PoolStatus.REGISTERED;
+
+        emit PoolWithdrawalCancelled();
+
+        stakingContract.cancelWithdrawal();
+    }
+
+    function completeWithdrawal() external {
+        // Can be called by anyone once the withdrawal delay has elapsed, after which each contributor can withdraw their deposit.
+        require(status == PoolStatus.WITHDRAWING, "Pool withdrawal not started");
+
+        status = PoolStatus.CLOSED;
+
+        emit PoolClosed();
+
+        stakingContract.completeWithdrawal();
+    }
+
+    function withdrawCollateral() external {
+        // Returns the contributor's deposit along with any rewards they have not withdrawn yet.
+        require(status == PoolStatus.CLOSED, "Pool not closed");
+
+        uint256 amount = deposits[msg.sender];
+
+        require(amount > 0, "No deposit");
+
+        uint256 collateral = amount * collateralAmount / registeredDeposits + excessDeposit(msg.sender);
+        uint256 rewards = rewardsOwing(msg.sender);
+
+        delete deposits[msg.sender];
+        delete rewardsWithdrawn[msg.sender];
+        delete excessWithdrawn[msg.sender];
+        totalDeposits -= amount;
+
+        if (rewards > 0)
+        {
+            emit RewardsWithdrawn(msg.sender, rewards);
+        }
+
+        emit CollateralWithdrawn(msg.sender, collateral);
+
+        Address.sendValue(payable(msg.sender), collateral + rewards);
+    }
+}
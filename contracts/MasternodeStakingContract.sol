@@ -1,9 +1,15 @@
 //SPDX-License-Identifier: MIT
 
 pragma solidity ^0.8.20;
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 
 contract MasternodeStakingContract {
+    using Checkpoints for Checkpoints.Trace208;
+
     struct Account {
         uint256 balance;
         uint256 lastDividends;
@@ -12,16 +18,63 @@ contract MasternodeStakingContract {
 
     mapping(address=>Account) public accounts;
 
-    // Collateral amount for regular registrations.
-    uint256 public constant COLLATERAL_AMOUNT = 1_000_000 ether;
+    struct MasternodeInfo {
+        address account;
+        RegistrationStatus status;
+        bool legacy;
+        bool inactive;
+        uint256 accruedBalance;
+        uint256 lastClaimedBlock;
+    }
+
+    // Default collateral amount for regular registrations.
+    uint256 public constant DEFAULT_COLLATERAL_AMOUNT = 1_000_000 ether;
+
+    // Default collateral amount for legacy registrations.
+    uint256 public constant DEFAULT_COLLATERAL_AMOUNT_LEGACY = 100_000 ether;
+
+    uint256 public constant DEFAULT_WITHDRAWAL_DELAY = 100_800;
+
+    // Default share of the collateral forfeited by completeWithdrawalEarly(), in basis points.
+    uint256 public constant DEFAULT_EARLY_WITHDRAWAL_PENALTY = 1_000;
+    uint256 public constant PENALTY_DENOMINATOR = 10_000;
 
-    // Collateral amount for legacy registrations.
-    uint256 public constant COLLATERAL_AMOUNT_LEGACY = 100_000 ether;
+    // Lower bound on the timelock delay whenever there is an admin, so that registrants always get notice of a parameter change before it applies.
+    uint256 public constant MIN_TIMELOCK_DELAY = 5_400;
 
-    uint256 public constant WITHDRAWAL_DELAY = 100_800;
+    // Parameters that can be changed by the admin, subject to the timelock.
+    enum Parameter { COLLATERAL_AMOUNT, COLLATERAL_AMOUNT_LEGACY, WITHDRAWAL_DELAY, EARLY_WITHDRAWAL_PENALTY }
+
+    struct ParameterChange {
+        uint256 value;
+        uint256 executableBlock;
+    }
 
     enum RegistrationStatus { UNREGISTERED, REGISTERED, WITHDRAWING }
 
+    // Funds added with fundRewards(), which are released into the rewards linearly from startBlock to endBlock.
+    struct Campaign {
+        address funder;
+        uint256 amount;
+        uint256 startBlock;
+        uint256 endBlock;
+    }
+
+    // Campaigns end on a multiple of CAMPAIGN_PERIOD blocks (about a day of 16 second blocks), so the combined release rate only changes at those blocks.
+    // Bringing the locked amount up to date then takes one step per period that has passed, however many campaigns are running.
+    // The maximum duration is about a year.
+    uint256 public constant CAMPAIGN_PERIOD = 5_400;
+    uint256 public constant MIN_CAMPAIGN_AMOUNT = 1_000 ether;
+    uint256 public constant MAX_CAMPAIGN_DURATION = 2_000_000;
+
+    // Marks a change in whether an account shares in distributions. While it does, its cumulative rewards are totalDividends minus 'value',
+    // otherwise they are 'value' itself.
+    struct RewardCheckpoint {
+        uint48 blockNumber;
+        bool active;
+        uint200 value;
+    }
+
     bool public initialized;
 
     uint256 public totalDividends;
@@ -33,8 +86,114 @@ contract MasternodeStakingContract {
     mapping(address => RegistrationStatus) public registrationStatus;
     mapping(address => bool) public legacy;
 
+    // Addresses that rewards and collateral of a masternode account are paid out to.
+    // The withdrawal address acts as the owner of the registration and is the only account that can change either address.
+    // This allows the collateral to be controlled by a cold wallet while the masternode's own key only triggers claims.
+    mapping(address => address) public rewardRecipient;
+    mapping(address => address) public withdrawalAddress;
+
+    // All registered and withdrawing accounts, as a linked list in order of registration so that they can be enumerated.
+    // Each registration is keyed by a sequence number, which is never reused. A registration transfer keeps the sequence number.
+    // Pagination is cursor based: a page starts after a given sequence number, so removing accounts does not shift the remaining ones between pages,
+    // and an account that re-registers or receives a registration transfer does not disturb a cursor handed out for its previous registration.
+    uint256 public masternodeCount;
+    uint256 internal lastMasternodeSequence;
+    uint256 internal firstMasternode;
+    uint256 internal lastMasternode;
+    mapping(uint256 => uint256) internal nextMasternode;
+    mapping(uint256 => uint256) internal previousMasternode;
+    mapping(uint256 => address) internal masternodeAccount;
+    mapping(address => uint256) internal masternodeSequence;
+
+    // Registered accounts have to send a heartbeat at least once every heartbeatWindow blocks. Otherwise anyone can mark them inactive,
+    // which removes them from the reward split until they send a heartbeat again. A window of zero disables the mechanism.
+    uint256 public heartbeatWindow;
+    mapping(address => uint256) public lastHeartbeatBlock;
+    mapping(address => bool) public inactive;
+
+    // Claims and withdrawals can be authorized with an EIP-712 signature from the masternode account and submitted by anyone.
+    // Each signature carries the account's current nonce, so that it can only be used once.
+    bytes32 public constant CLAIM_TYPEHASH = keccak256("Claim(address masternode,uint256 nonce,uint256 deadline)");
+    bytes32 public constant START_WITHDRAWAL_TYPEHASH = keccak256("StartWithdrawal(address masternode,uint256 nonce,uint256 deadline)");
+
+    mapping(address => uint256) public nonces;
+
+    // The admin, e.g. a multisig, can propose parameter changes, which anyone can execute once timelockDelay blocks have passed.
+    // Storage starts out empty in the genesis block, so a parameter that has never been changed stands for its default. See parameterSet.
+    address public admin;
+    address public pendingAdmin;
+    uint256 public timelockDelay;
+    mapping(Parameter => uint256) internal parameters;
+    mapping(Parameter => ParameterChange) public pendingParameterChanges;
+
+    // The collateral actually posted by each registered or withdrawing account, which is what it gets back regardless of later parameter changes.
+    mapping(address => uint256) public collateral;
+
+    // The address each registration is being transferred to, until that address accepts the transfer.
+    mapping(address => address) public pendingRegistrationTransfer;
+
+    // The history of totalDividends by block, and of when each account started and stopped sharing in it,
+    // so that the rewards of an account over any past block range can be computed. See rewardsEarnedAt().
+    Checkpoints.Trace208 internal dividendCheckpoints;
+    mapping(address => RewardCheckpoint[]) internal rewardCheckpoints;
+
+    // All reward campaigns by id. Their release is tracked in aggregate: campaignLockedAmount is what had not been released as of campaignUpdateBlock,
+    // and campaignReleaseRate is the amount released per block from then on, which drops by campaignRateDecrements[block] at each campaign's end block.
+    Campaign[] public campaigns;
+    uint256 internal campaignLockedAmount;
+    uint256 internal campaignReleaseRate;
+    uint256 internal campaignUpdateBlock;
+    mapping(uint256 => uint256) internal campaignRateDecrements;
+
+    // An ERC-20 token, e.g. wrapped STRAX, that collateral can be posted in instead of native STRAX. Zero if this is not enabled.
+    // Token collateral is held outside of the native balance that rewards are detected from, so it is not part of totalCollateralAmount
+    // or withdrawingCollateralAmount. tokenCollateralAmount is the token collateral of all registered and withdrawing accounts.
+    address public collateralToken;
+    uint256 public tokenCollateralAmount;
+    mapping(address => bool) public tokenCollateral;
+
+    // The withdrawal delay in effect when each withdrawing account started its withdrawal, which is what it waits regardless of later parameter changes.
+    mapping(address => uint256) public withdrawalDelay;
+
+    // Whether each parameter has been changed from its default, so that it can also be changed to zero.
+    mapping(Parameter => bool) internal parameterSet;
+
     event Registration(address indexed _from);
     event Deregistration(address indexed _from);
+    event LegacyAccountAssigned(address indexed _account);
+    event RewardsClaimed(address indexed _from, uint256 _amount);
+    event WithdrawalCompleted(address indexed _from, uint256 _amount);
+    event DividendsDistributed(uint256 _amount, uint256 _totalRegistrations, uint256 _totalDividends);
+    event WithdrawalCancelled(address indexed _from);
+    event PayoutAddressesChanged(address indexed _masternode, address _rewardRecipient, address _withdrawalAddress);
+    event Heartbeat(address indexed _from);
+    event MarkedInactive(address indexed _account, uint256 _forfeited);
+    event Reactivated(address indexed _account);
+    event ParameterChangeProposed(Parameter indexed _parameter, uint256 _value, uint256 _executableBlock);
+    event ParameterChangeCancelled(Parameter indexed _parameter);
+    event ParameterChangeExecuted(Parameter indexed _parameter, uint256 _value);
+    event AdminTransferStarted(address indexed _admin, address indexed _pendingAdmin);
+    event AdminTransferred(address indexed _previousAdmin, address indexed _admin);
+    event RegistrationTransferStarted(address indexed _from, address indexed _to);
+    event RegistrationTransferCancelled(address indexed _from);
+    event RegistrationTransferred(address indexed _from, address indexed _to);
+    event RewardsFunded(uint256 indexed _campaign, address indexed _funder, uint256 _amount, uint256 _startBlock, uint256 _endBlock);
+    event EarlyWithdrawal(address indexed _from, uint256 _penalty);
+    event TokenCollateralPosted(address indexed _from, address indexed _token, uint256 _amount);
+    event CollateralPosted(address indexed _from, uint256 _amount, bool _legacy);
+
+    // Errors carry the state that caused them, so that clients can report e.g. the expected collateral or the blocks left to wait.
+    // sdk/errors.js decodes them into readable messages.
+    error IncorrectCollateralAmount(uint256 _expected, uint256 _sent, bool _legacy);
+    error AccountAlreadyRegistered(address _account, RegistrationStatus _status);
+    error AccountNotRegistered(address _account, RegistrationStatus _status);
+    error InvalidPayoutAddress();
+    error WithdrawalNotStarted(address _account, RegistrationStatus _status);
+    error WithdrawalDelayNotElapsed(address _account, uint256 _blocksRemaining);
+    error TokenCollateralNotEnabled();
+    error TokenCollateralNotAllowed(address _account);
+    error NotWithdrawalAddress(address _masternode, address _withdrawalAddress);
+    error InvalidTransferAddress(address _newMasternode);
 
     // This contract is intended to be deployed directly into the genesis block, so a constructor cannot be used.
     // In any case, we assume that all the variables defined above will be their type-specific default values until explicitly set.
@@ -55,25 +214,183 @@ contract MasternodeStakingContract {
                 continue;
             }
 
+            if (legacy[legacyAccounts[i]])
+            {
+                continue;
+            }
+
             legacy[legacyAccounts[i]] = true;
+
+            emit LegacyAccountAssigned(legacyAccounts[i]);
         }
 
         initialized = true;
     }
 
+    function setHeartbeatWindow(uint256 window) external {
+        // Like assignLegacyAccounts(), this is intended to be called by the entity initializing the network, and has to happen before the legacy accounts are assigned.
+        // Alternatively the window can be set directly in the genesis state.
+        require(!initialized, "Heartbeat window can only be set before initialization");
+
+        heartbeatWindow = window;
+    }
+
+    function setGovernance(address _admin, uint256 _timelockDelay) external {
+        // Like setHeartbeatWindow(), this has to be called before the legacy accounts are assigned, or the values set in the genesis state.
+        require(!initialized, "Governance can only be set before initialization");
+        require(_admin == address(0) || _timelockDelay >= MIN_TIMELOCK_DELAY, "Timelock delay is below the minimum");
+
+        admin = _admin;
+        timelockDelay = _timelockDelay;
+    }
+
+    function setCollateralToken(address token) external {
+        // Like setGovernance(), this has to be called before the legacy accounts are assigned, or the token set in the genesis state.
+        // The token is expected to transfer exact amounts, i.e. without fees, as wrapped STRAX does.
+        require(!initialized, "Collateral token can only be set before initialization");
+
+        collateralToken = token;
+    }
+
+    // The current parameter values. These keep the names of the constants they replace, so that existing clients keep working.
+
+    function COLLATERAL_AMOUNT() public view returns(uint256) {
+        return getParameter(Parameter.COLLATERAL_AMOUNT);
+    }
+
+    function COLLATERAL_AMOUNT_LEGACY() public view returns(uint256) {
+        return getParameter(Parameter.COLLATERAL_AMOUNT_LEGACY);
+    }
+
+    function WITHDRAWAL_DELAY() public view returns(uint256) {
+        return getParameter(Parameter.WITHDRAWAL_DELAY);
+    }
+
+    function EARLY_WITHDRAWAL_PENALTY() public view returns(uint256) {
+        return getParameter(Parameter.EARLY_WITHDRAWAL_PENALTY);
+    }
+
+    function getParameter(Parameter parameter) public view returns(uint256) {
+        if (parameterSet[parameter])
+        {
+            return parameters[parameter];
+        }
+
+        if (parameter == Parameter.COLLATERAL_AMOUNT)
+        {
+            return DEFAULT_COLLATERAL_AMOUNT;
+        }
+
+        if (parameter == Parameter.COLLATERAL_AMOUNT_LEGACY)
+        {
+            return DEFAULT_COLLATERAL_AMOUNT_LEGACY;
+        }
+
+        if (parameter == Parameter.WITHDRAWAL_DELAY)
+        {
+            return DEFAULT_WITHDRAWAL_DELAY;
+        }
+
+        return DEFAULT_EARLY_WITHDRAWAL_PENALTY;
+    }
+
+    function proposeParameterChange(Parameter parameter, uint256 value) external {
+        // Proposing a change while another one is pending for the same parameter replaces it and restarts the timelock.
+        require(msg.sender == admin, "Caller is not the admin");
+        // The penalty can be waived with a value of zero, but the collateral amounts and the withdrawal delay have to stay positive.
+        require(parameter == Parameter.EARLY_WITHDRAWAL_PENALTY ? value <= PENALTY_DENOMINATOR : value > 0, "Invalid parameter value");
+
+        uint256 executableBlock = block.number + timelockDelay;
+
+        pendingParameterChanges[parameter] = ParameterChange(value, executableBlock);
+
+        emit ParameterChangeProposed(parameter, value, executableBlock);
+    }
+
+    function cancelParameterChange(Parameter parameter) external {
+        require(msg.sender == admin, "Caller is not the admin");
+        require(pendingParameterChanges[parameter].executableBlock != 0, "No pending parameter change");
+
+        delete pendingParameterChanges[parameter];
+
+        emit ParameterChangeCancelled(parameter);
+    }
+
+    function executeParameterChange(Parameter parameter) external {
+        // Can be called by anyone once the timelock has elapsed.
+        // Registered accounts keep the collateral they posted, and withdrawals already in progress keep the delay they started with.
+        ParameterChange memory change = pendingParameterChanges[parameter];
+
+        require(change.executableBlock != 0, "No pending parameter change");
+        require(block.number >= change.executableBlock, "Timelock has not elapsed");
+
+        parameters[parameter] = change.value;
+        parameterSet[parameter] = true;
+
+        delete pendingParameterChanges[parameter];
+
+        emit ParameterChangeExecuted(parameter, change.value);
+    }
+
+    function transferAdmin(address _pendingAdmin) external {
+        // The new admin has to accept, so that the role cannot be handed to an address that is unable to use it.
+        require(msg.sender == admin, "Caller is not the admin");
+
+        pendingAdmin = _pendingAdmin;
+
+        emit AdminTransferStarted(admin, _pendingAdmin);
+    }
+
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "Caller is not the pending admin");
+
+        emit AdminTransferred(admin, msg.sender);
+
+        admin = msg.sender;
+        delete pendingAdmin;
+    }
+
     function register() external payable {
-        if (legacy[msg.sender])
+        registerAccount(msg.sender, msg.sender, false);
+    }
+
+    function registerWithPayoutAddresses(address _rewardRecipient, address _withdrawalAddress) external payable {
+        // Registers the sender as a masternode, with rewards and collateral paid out to the given addresses instead of the sender.
+        registerAccount(_rewardRecipient, _withdrawalAddress, false);
+    }
+
+    function registerWithToken(address _rewardRecipient, address _withdrawalAddress) external {
+        // Registers the sender with collateral in collateralToken, which the contract has to be approved to transfer from the sender.
+        // Rewards are still paid in native STRAX, and the collateral is returned in the token.
+        registerAccount(_rewardRecipient, _withdrawalAddress, true);
+    }
+
+    function registerAccount(address _rewardRecipient, address _withdrawalAddress, bool withToken) internal {
+        uint256 requiredCollateral = legacy[msg.sender] ? COLLATERAL_AMOUNT_LEGACY() : COLLATERAL_AMOUNT();
+
+        if (withToken)
         {
-            require(msg.value == COLLATERAL_AMOUNT_LEGACY, "Incorrect collateral amount for legacy node");
+            if (collateralToken == address(0))
+            {
+                revert TokenCollateralNotEnabled();
+            }
         }
-        else
+        else if (msg.value != requiredCollateral)
         {
-            require(msg.value == COLLATERAL_AMOUNT, "Incorrect collateral amount");
+            revert IncorrectCollateralAmount(requiredCollateral, msg.value, legacy[msg.sender]);
+        }
+
+        if (registrationStatus[msg.sender] != RegistrationStatus.UNREGISTERED)
+        {
+            revert AccountAlreadyRegistered(msg.sender, registrationStatus[msg.sender]);
+        }
+
+        if (_rewardRecipient == address(0) || _withdrawalAddress == address(0))
+        {
+            revert InvalidPayoutAddress();
         }
-        
-        require(registrationStatus[msg.sender] == RegistrationStatus.UNREGISTERED, "Account already registered");
 
-        update(msg.value);
+        update(msg.sender, msg.value);
 
         accounts[msg.sender].balance = 0;
         accounts[msg.sender].lastDividends = totalDividends;
@@ -82,9 +399,232 @@ contract MasternodeStakingContract {
         registrationStatus[msg.sender] = RegistrationStatus.REGISTERED;
         
         totalRegistrations += 1;
-        totalCollateralAmount += msg.value;
+        collateral[msg.sender] = requiredCollateral;
+
+        if (withToken)
+        {
+            tokenCollateral[msg.sender] = true;
+            tokenCollateralAmount += requiredCollateral;
+        }
+        else
+        {
+            totalCollateralAmount += requiredCollateral;
+        }
+
+        checkpointRewards(msg.sender, true);
+
+        rewardRecipient[msg.sender] = _rewardRecipient;
+        withdrawalAddress[msg.sender] = _withdrawalAddress;
+
+        lastHeartbeatBlock[msg.sender] = block.number;
+
+        addMasternode(msg.sender);
 
         emit Registration(msg.sender);
+        emit CollateralPosted(msg.sender, requiredCollateral, legacy[msg.sender]);
+        emit PayoutAddressesChanged(msg.sender, _rewardRecipient, _withdrawalAddress);
+
+        if (withToken)
+        {
+            emit TokenCollateralPosted(msg.sender, collateralToken, requiredCollateral);
+
+            SafeERC20.safeTransferFrom(IERC20(collateralToken), msg.sender, address(this), requiredCollateral);
+        }
+    }
+
+    function setPayoutAddresses(address _masternode, address _rewardRecipient, address _withdrawalAddress) external {
+        // Only the current withdrawal address of a registration can redirect its payouts, so a compromised masternode key cannot.
+        if (registrationStatus[_masternode] == RegistrationStatus.UNREGISTERED)
+        {
+            revert AccountNotRegistered(_masternode, RegistrationStatus.UNREGISTERED);
+        }
+
+        if (msg.sender != withdrawalAddress[_masternode])
+        {
+            revert NotWithdrawalAddress(_masternode, withdrawalAddress[_masternode]);
+        }
+
+        if (_rewardRecipient == address(0) || _withdrawalAddress == address(0))
+        {
+            revert InvalidPayoutAddress();
+        }
+
+        rewardRecipient[_masternode] = _rewardRecipient;
+        withdrawalAddress[_masternode] = _withdrawalAddress;
+
+        emit PayoutAddressesChanged(_masternode, _rewardRecipient, _withdrawalAddress);
+    }
+
+    function startRegistrationTransfer(address _masternode, address _newMasternode) external {
+        // Moves a registration to a new masternode address without going through the withdrawal delay, e.g. to rotate a compromised key.
+        // Like the payout addresses, this is controlled by the withdrawal address. The new address has to accept the transfer.
+        if (registrationStatus[_masternode] == RegistrationStatus.UNREGISTERED)
+        {
+            revert AccountNotRegistered(_masternode, RegistrationStatus.UNREGISTERED);
+        }
+
+        if (msg.sender != withdrawalAddress[_masternode])
+        {
+            revert NotWithdrawalAddress(_masternode, withdrawalAddress[_masternode]);
+        }
+
+        if (_newMasternode == address(0) || _newMasternode == _masternode)
+        {
+            revert InvalidTransferAddress(_newMasternode);
+        }
+
+        pendingRegistrationTransfer[_masternode] = _newMasternode;
+
+        emit RegistrationTransferStarted(_masternode, _newMasternode);
+    }
+
+    function cancelRegistrationTransfer(address _masternode) external {
+        if (msg.sender != withdrawalAddress[_masternode])
+        {
+            revert NotWithdrawalAddress(_masternode, withdrawalAddress[_masternode]);
+        }
+
+        require(pendingRegistrationTransfer[_masternode] != address(0), "No pending registration transfer");
+
+        delete pendingRegistrationTransfer[_masternode];
+
+        emit RegistrationTransferCancelled(_masternode);
+    }
+
+    function acceptRegistrationTransfer(address _masternode) external {
+        // Moves the registration, its reward accounting and the legacy flag to the sender as they are.
+        // The totals are unaffected, as the number of registrations and the collateral held stay the same.
+        require(pendingRegistrationTransfer[_masternode] == msg.sender, "No pending registration transfer to the caller");
+
+        if (registrationStatus[msg.sender] != RegistrationStatus.UNREGISTERED)
+        {
+            revert AccountAlreadyRegistered(msg.sender, registrationStatus[msg.sender]);
+        }
+
+        delete pendingRegistrationTransfer[_masternode];
+
+        // Settle the rewards accrued so far, so that the reward history attributes them to the old address and everything after the transfer to the new one.
+        bool active = registrationStatus[_masternode] == RegistrationStatus.REGISTERED && !inactive[_masternode];
+
+        if (active)
+        {
+            update(_masternode, 0);
+
+            checkpointRewards(_masternode, false);
+            checkpointRewards(msg.sender, true);
+        }
+
+        registrationStatus[msg.sender] = registrationStatus[_masternode];
+        accounts[msg.sender] = accounts[_masternode];
+        collateral[msg.sender] = collateral[_masternode];
+        withdrawalDelay[msg.sender] = withdrawalDelay[_masternode];
+        lastHeartbeatBlock[msg.sender] = lastHeartbeatBlock[_masternode];
+        inactive[msg.sender] = inactive[_masternode];
+        tokenCollateral[msg.sender] = tokenCollateral[_masternode];
+
+        // The sender's own legacy status, e.g. as an unregistered legacy account, is replaced by that of the registration it takes over.
+        legacy[msg.sender] = legacy[_masternode];
+
+        // Payouts that went to the old address itself go to the new one instead.
+        rewardRecipient[msg.sender] = rewardRecipient[_masternode] == _masternode ? msg.sender : rewardRecipient[_masternode];
+        withdrawalAddress[msg.sender] = withdrawalAddress[_masternode] == _masternode ? msg.sender : withdrawalAddress[_masternode];
+
+        delete registrationStatus[_masternode];
+        delete accounts[_masternode];
+        delete collateral[_masternode];
+        delete withdrawalDelay[_masternode];
+        delete lastHeartbeatBlock[_masternode];
+        delete inactive[_masternode];
+        delete tokenCollateral[_masternode];
+        delete legacy[_masternode];
+        delete rewardRecipient[_masternode];
+        delete withdrawalAddress[_masternode];
+
+        replaceMasternode(_masternode, msg.sender);
+
+        emit RegistrationTransferred(_masternode, msg.sender);
+        emit PayoutAddressesChanged(msg.sender, rewardRecipient[msg.sender], withdrawalAddress[msg.sender]);
+    }
+
+    function totalDividendsAt(uint256 blockNumber) public view returns(uint256) {
+        // Returns totalDividends as of the end of the given block.
+        return dividendCheckpoints.upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
+    function rewardsEarnedAt(address account, uint256 blockNumber) public view returns(uint256) {
+        // Returns the rewards the account had earned up to the end of the given block, claimed or not. Rewards are earned in the block they are distributed in,
+        // which happens whenever any account interacts with the contract. Rewards that are later forfeited by markInactive() are not counted.
+        // A registration that is transferred keeps its history up to the transfer, after which the rewards count for the new address.
+        RewardCheckpoint[] storage checkpoints = rewardCheckpoints[account];
+
+        // Find the first checkpoint after the given block.
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+
+        while (low < high)
+        {
+            uint256 middle = (low + high) / 2;
+
+            if (checkpoints[middle].blockNumber > blockNumber)
+            {
+                high = middle;
+            }
+            else
+            {
+                low = middle + 1;
+            }
+        }
+
+        if (low == 0)
+        {
+            return 0;
+        }
+
+        RewardCheckpoint memory checkpoint = checkpoints[low - 1];
+
+        if (!checkpoint.active)
+        {
+            return checkpoint.value;
+        }
+
+        uint256 earned = totalDividendsAt(blockNumber) - checkpoint.value;
+
+        // An active checkpoint is always followed by an inactive one, which holds what the account had earned when it stopped sharing in distributions.
+        // Rewards the account had accrued by then but forfeited are still included in totalDividends, so they are capped off here.
+        if (low < checkpoints.length && checkpoints[low].value < earned)
+        {
+            return checkpoints[low].value;
+        }
+
+        return earned;
+    }
+
+    function rewardsEarned(address account, uint256 fromBlock, uint256 toBlock) external view returns(uint256) {
+        // Returns the rewards the account earned after fromBlock, up to and including toBlock.
+        require(fromBlock <= toBlock, "Invalid block range");
+
+        return rewardsEarnedAt(account, toBlock) - rewardsEarnedAt(account, fromBlock);
+    }
+
+    function earnedRewards(address account) internal view returns(uint256) {
+        // The rewards the account has earned so far according to its latest checkpoint.
+        RewardCheckpoint[] storage checkpoints = rewardCheckpoints[account];
+
+        if (checkpoints.length == 0)
+        {
+            return 0;
+        }
+
+        RewardCheckpoint memory checkpoint = checkpoints[checkpoints.length - 1];
+
+        return checkpoint.active ? totalDividends - checkpoint.value : checkpoint.value;
+    }
+
+    function checkpointRewards(address account, bool active) internal {
+        // Records that the account starts or stops sharing in distributions from this point on, carrying forward what it has earned so far.
+        uint256 earned = earnedRewards(account);
+
+        rewardCheckpoints[account].push(RewardCheckpoint(SafeCast.toUint48(block.number), active, SafeCast.toUint200(active ? totalDividends - earned : earned)));
     }
 
     function dividendsOwing(address account) internal view returns(uint256) {
@@ -93,108 +633,560 @@ contract MasternodeStakingContract {
         return newDividends;
     }
 
-    function update(uint256 registrationOffset) internal {
+    function pendingRewards(address account) public view returns(uint256) {
+        // Returns the amount that claimRewards() would currently pay out to the given account.
+        // This simulates update() without modifying state, so that rewards that have arrived since the last update are included.
+
+        if (registrationStatus[account] != RegistrationStatus.REGISTERED)
+        {
+            return 0;
+        }
+
+        // Inactive accounts do not take part in distributions, so only their previously accrued balance is claimable.
+        if (inactive[account])
+        {
+            return accounts[account].balance;
+        }
+
+        uint256 pendingDividends = totalDividends;
+
+        if (totalRegistrations > 0)
+        {
+            // This includes any remainder carried forward from previous distributions.
+            uint256 amount = address(this).balance - lastBalance - totalCollateralAmount - withdrawingCollateralAmount - lockedCampaignAmount();
+
+            pendingDividends += (amount / totalRegistrations);
+        }
+
+        return accounts[account].balance + (pendingDividends - accounts[account].lastDividends);
+    }
+
+    function update(address account, uint256 registrationOffset) internal {
         // Calculate the accrued rewards since the last time update() was called.
+        distribute(registrationOffset);
+
+        if (registrationOffset > 0 || inactive[account])
+        {
+            return;
+        }
+
+        uint256 owing = dividendsOwing(account);
 
+        if (owing > 0)
+        {
+            accounts[account].balance += owing;
+            accounts[account].lastDividends = totalDividends;
+        }
+    }
+
+    function distribute(uint256 registrationOffset) internal {
         // Update disbursed rewards. Note that this is independent of the number of blocks since the last time rewards were claimed, and relates only to the changes in the contract balance.
-        uint256 amount = address(this).balance - lastBalance - totalCollateralAmount - withdrawingCollateralAmount - registrationOffset;
+        // Campaign funds that have not been released yet are held back.
+        updateCampaigns();
+
+        uint256 amount = address(this).balance - lastBalance - totalCollateralAmount - withdrawingCollateralAmount - registrationOffset - lockedCampaignAmount();
 
         if (totalRegistrations > 0)
         {
             // All categories of registered accounts are treated as having identical 'staking' amounts for the purposes of dividing up the rewards.
-            totalDividends += (amount / totalRegistrations);
-            lastBalance += amount;
+            uint256 dividend = amount / totalRegistrations;
+
+            // Only the amount actually divided up is considered disbursed. The remainder of the division stays outside of lastBalance,
+            // so that it is carried forward and included in the amount distributed by the next update.
+            uint256 distributed = dividend * totalRegistrations;
+
+            totalDividends += dividend;
+            lastBalance += distributed;
+
+            if (distributed > 0)
+            {
+                dividendCheckpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(totalDividends));
+
+                emit DividendsDistributed(distributed, totalRegistrations, totalDividends);
+            }
         }
+    }
+
+    function fundRewards(uint256 durationBlocks) external payable {
+        // Adds the sent amount to the rewards, released linearly from now until durationBlocks blocks have passed, rounded up to the next multiple of
+        // CAMPAIGN_PERIOD. Rewards released while no account is registered are distributed once one is, like the block reward.
+        require(msg.value >= MIN_CAMPAIGN_AMOUNT, "Campaign amount too low");
+        require(durationBlocks > 0 && durationBlocks <= MAX_CAMPAIGN_DURATION, "Invalid campaign duration");
+
+        // Distribute what had arrived before, leaving out the sent amount, so that the campaign starts from a clean slate.
+        distribute(msg.value);
+
+        uint256 endBlock = (block.number + durationBlocks + CAMPAIGN_PERIOD - 1) / CAMPAIGN_PERIOD * CAMPAIGN_PERIOD;
+        uint256 rate = msg.value / (endBlock - block.number);
+
+        // distribute() has brought the campaign state up to date, unless no campaign was running. The remainder of the division is not locked,
+        // so it is distributed with the next update.
+        campaignUpdateBlock = block.number;
+        campaignLockedAmount += rate * (endBlock - block.number);
+        campaignReleaseRate += rate;
+        campaignRateDecrements[endBlock] += rate;
+
+        uint256 id = campaigns.length;
+
+        campaigns.push(Campaign(msg.sender, msg.value, block.number, endBlock));
+
+        emit RewardsFunded(id, msg.sender, msg.value, block.number, endBlock);
+    }
+
+    function campaignState() internal view returns(uint256 locked, uint256 rate) {
+        // Returns the locked amount and release rate as of the current block, stepping through the campaign end blocks passed since campaignUpdateBlock.
+        locked = campaignLockedAmount;
+        rate = campaignReleaseRate;
 
-        if (registrationOffset > 0)
+        uint256 from = campaignUpdateBlock;
+
+        while (rate > 0)
         {
-            return;
+            uint256 periodEnd = (from / CAMPAIGN_PERIOD + 1) * CAMPAIGN_PERIOD;
+
+            if (periodEnd > block.number)
+            {
+                locked -= rate * (block.number - from);
+                break;
+            }
+
+            locked -= rate * (periodEnd - from);
+            rate -= campaignRateDecrements[periodEnd];
+            from = periodEnd;
         }
+    }
 
-        uint256 owing = dividendsOwing(msg.sender);
+    function lockedCampaignAmount() public view returns(uint256 locked) {
+        // Returns the campaign funds that have not been released yet, which are excluded from the amount to distribute.
+        (locked, ) = campaignState();
+    }
 
-        if (owing > 0)
+    function updateCampaigns() internal {
+        // Brings the aggregate campaign state up to the current block.
+        if (campaignReleaseRate == 0)
         {
-            accounts[msg.sender].balance += owing;
-            accounts[msg.sender].lastDividends = totalDividends;
+            return;
         }
+
+        (campaignLockedAmount, campaignReleaseRate) = campaignState();
+        campaignUpdateBlock = block.number;
     }
 
     function claimRewards() public {
+        claimAccountRewards(msg.sender);
+    }
+
+    function claimRewardsWithSignature(address masternode, uint256 deadline, bytes calldata signature) external {
+        // Claims on behalf of a masternode account that has signed a Claim authorization, so that the account does not need to pay for gas itself.
+        // The rewards are still paid out to the account's reward recipient, regardless of who submits the signature.
+        useSignature(CLAIM_TYPEHASH, masternode, deadline, signature);
+
+        claimAccountRewards(masternode);
+    }
+
+    function claimAccountRewards(address account) internal {
         // Sends only the rewards accrued by a given masternode account to their account. Their collateral amount is not withdrawn.
 
-        require(registrationStatus[msg.sender] == RegistrationStatus.REGISTERED, "Account not registered");
+        if (registrationStatus[account] != RegistrationStatus.REGISTERED)
+        {
+            revert AccountNotRegistered(account, registrationStatus[account]);
+        }
 
-        update(0);
+        update(account, 0);
 
-        uint256 claimAmount = accounts[msg.sender].balance;
+        uint256 claimAmount = accounts[account].balance;
 
-        accounts[msg.sender].lastClaimedBlock = block.number;
+        accounts[account].lastClaimedBlock = block.number;
 
         if (claimAmount == 0)
         {
             return;
         }
 
-        accounts[msg.sender].balance -= claimAmount;
+        accounts[account].balance -= claimAmount;
         lastBalance -= claimAmount;
 
-        Address.sendValue(payable(msg.sender), claimAmount);
+        emit RewardsClaimed(account, claimAmount);
+
+        Address.sendValue(payable(rewardRecipient[account]), claimAmount);
     }
 
     function startWithdrawal() external {
+        startAccountWithdrawal(msg.sender);
+    }
+
+    function startWithdrawalWithSignature(address masternode, uint256 deadline, bytes calldata signature) external {
+        // Starts the withdrawal of a masternode account that has signed a StartWithdrawal authorization.
+        // The collateral is still only returned to the account's withdrawal address.
+        useSignature(START_WITHDRAWAL_TYPEHASH, masternode, deadline, signature);
+
+        startAccountWithdrawal(masternode);
+    }
+
+    function startAccountWithdrawal(address account) internal {
         // Initiates the process for a masternode account to reclaim their collateral.
 
         // Need to claim any residual rewards for this account before collateral can be withdrawn.
-        // Note that claimRewards checks the registration status.
-        claimRewards();
+        // Note that claimAccountRewards checks the registration status.
+        claimAccountRewards(account);
 
         // They will not be eligible for any rewards during the withdrawal delay period, so we need to adjust the total registrations now.
-        totalRegistrations -= 1;
-
-        uint256 applicableCollateral;
-        if (legacy[msg.sender])
+        // An inactive account has already been taken out of the total registrations.
+        if (inactive[account])
         {
-            applicableCollateral = COLLATERAL_AMOUNT_LEGACY;
+            delete inactive[account];
         }
         else
         {
-            applicableCollateral = COLLATERAL_AMOUNT;
+            totalRegistrations -= 1;
+            checkpointRewards(account, false);
         }
 
+        uint256 applicableCollateral = collateral[account];
+
         // We need this account's collateral to no longer be considered part of the contract's overall balance, but the funds have not actually left yet.
         // Therefore we have to keep the 'in progress' withdrawal accumulated in a variable so that it can be offset within future reward updates.
-        withdrawingCollateralAmount += applicableCollateral;
-        totalCollateralAmount -= applicableCollateral;
+        // Token collateral is not part of the native balance, so it stays in tokenCollateralAmount until it is returned.
+        if (!tokenCollateral[account])
+        {
+            withdrawingCollateralAmount += applicableCollateral;
+            totalCollateralAmount -= applicableCollateral;
+        }
+
+        registrationStatus[account] = RegistrationStatus.WITHDRAWING;
+        withdrawalDelay[account] = WITHDRAWAL_DELAY();
+
+        emit Deregistration(account);
+    }
+
+    function DOMAIN_SEPARATOR() public view returns(bytes32) {
+        // The domain separator is computed on every call rather than cached in immutables, as those would not be set for the genesis deployment.
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("MasternodeStakingContract"),
+            keccak256("1"),
+            block.chainid,
+            address(this)));
+    }
+
+    function useSignature(bytes32 typeHash, address masternode, uint256 deadline, bytes calldata signature) internal {
+        // Checks that the masternode account has signed an authorization of the given type for its current nonce, and consumes the nonce.
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(abi.encode(typeHash, masternode, nonces[masternode], deadline));
+        address signer = ECDSA.recover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)), signature);
+
+        require(signer == masternode, "Invalid signature");
+
+        nonces[masternode] += 1;
+    }
+
+    function cancelWithdrawal() external {
+        // Returns an account that has started the withdrawal process to the registered state, e.g. if the withdrawal was started by mistake.
+        // The account keeps its legacy status, as that is only given up once the withdrawal completes.
+
+        if (registrationStatus[msg.sender] != RegistrationStatus.WITHDRAWING)
+        {
+            revert WithdrawalNotStarted(msg.sender, registrationStatus[msg.sender]);
+        }
+
+        // Rewards that arrived during the withdrawal belong to the accounts that were registered in the meantime, so they are distributed before this account rejoins.
+        distribute(0);
+
+        uint256 applicableCollateral = collateral[msg.sender];
+
+        if (!tokenCollateral[msg.sender])
+        {
+            withdrawingCollateralAmount -= applicableCollateral;
+            totalCollateralAmount += applicableCollateral;
+        }
+
+        // Reset the dividend baseline so that no rewards are earned for the time spent withdrawing.
+        accounts[msg.sender].balance = 0;
+        accounts[msg.sender].lastDividends = totalDividends;
+        accounts[msg.sender].lastClaimedBlock = block.number;
+
+        registrationStatus[msg.sender] = RegistrationStatus.REGISTERED;
+        delete withdrawalDelay[msg.sender];
+
+        totalRegistrations += 1;
+        checkpointRewards(msg.sender, true);
+
+        // Cancelling counts as a heartbeat, as the account rejoins the reward split.
+        lastHeartbeatBlock[msg.sender] = block.number;
+
+        emit WithdrawalCancelled(msg.sender);
+    }
+
+    function heartbeat() external {
+        // Signals that the masternode is online. An inactive account rejoins the reward split from this point on, without earning anything for the time it was inactive.
+
+        if (registrationStatus[msg.sender] != RegistrationStatus.REGISTERED)
+        {
+            revert AccountNotRegistered(msg.sender, registrationStatus[msg.sender]);
+        }
 
-        registrationStatus[msg.sender] = RegistrationStatus.WITHDRAWING;
+        if (inactive[msg.sender])
+        {
+            // Rewards that arrived while the account was inactive belong to the active accounts, so they are distributed before this account rejoins.
+            distribute(0);
+
+            accounts[msg.sender].lastDividends = totalDividends;
+
+            delete inactive[msg.sender];
+            totalRegistrations += 1;
+            checkpointRewards(msg.sender, true);
+
+            emit Reactivated(msg.sender);
+        }
+        else
+        {
+            // Settle the rewards accrued so far, so that only rewards accrued after this heartbeat are at stake if the next one is missed.
+            update(msg.sender, 0);
+        }
+
+        lastHeartbeatBlock[msg.sender] = block.number;
+
+        emit Heartbeat(msg.sender);
+    }
+
+    function markInactive(address account) external {
+        // Can be called by anyone once a registered account has missed its heartbeat window.
+        // The account stops sharing in rewards, and the rewards it accrued since they were last settled are forfeited and redistributed to the active accounts.
+        // Rewards are settled by any update of the account, e.g. a heartbeat or a claim, but only a heartbeat restarts the window.
 
-        emit Deregistration(msg.sender);
+        require(heartbeatWindow > 0, "Heartbeats are not enabled");
+        require(registrationStatus[account] == RegistrationStatus.REGISTERED && !inactive[account], "Account not active");
+        require(block.number - lastHeartbeatBlock[account] > heartbeatWindow, "Heartbeat window has not elapsed");
+
+        distribute(0);
+
+        uint256 forfeited = dividendsOwing(account);
+
+        accounts[account].lastDividends = totalDividends;
+
+        // The forfeited rewards are no longer owed to anyone, so they are included in the next distribution.
+        lastBalance -= forfeited;
+
+        // The account's reward history caps its earnings at what it had accrued by its last update, i.e. without the forfeited rewards.
+        rewardCheckpoints[account].push(RewardCheckpoint(SafeCast.toUint48(block.number), false, SafeCast.toUint200(earnedRewards(account) - forfeited)));
+
+        inactive[account] = true;
+        totalRegistrations -= 1;
+
+        emit MarkedInactive(account, forfeited);
     }
 
     function completeWithdrawal() external {
-        require(registrationStatus[msg.sender] == RegistrationStatus.WITHDRAWING, "Account has not started the withdrawal process");
-        require((block.number - accounts[msg.sender].lastClaimedBlock) >= WITHDRAWAL_DELAY, "Withdrawal delay has not yet elapsed");
+        if (registrationStatus[msg.sender] != RegistrationStatus.WITHDRAWING)
+        {
+            revert WithdrawalNotStarted(msg.sender, registrationStatus[msg.sender]);
+        }
+
+        uint256 elapsed = block.number - accounts[msg.sender].lastClaimedBlock;
+
+        if (elapsed < withdrawalDelay[msg.sender])
+        {
+            revert WithdrawalDelayNotElapsed(msg.sender, withdrawalDelay[msg.sender] - elapsed);
+        }
+
+        uint256 applicableCollateral = collateral[msg.sender];
+        bool withToken = tokenCollateral[msg.sender];
+        address payable recipient = releaseCollateral(msg.sender);
+
+        emit WithdrawalCompleted(msg.sender, applicableCollateral);
+
+        if (withToken)
+        {
+            SafeERC20.safeTransfer(IERC20(collateralToken), recipient, applicableCollateral);
+        }
+        else
+        {
+            Address.sendValue(recipient, applicableCollateral);
+        }
+    }
+
+    function completeWithdrawalEarly(address _masternode) external {
+        // Returns the collateral without waiting for the withdrawal delay, minus a penalty of EARLY_WITHDRAWAL_PENALTY basis points.
+        // The penalty goes to the registered accounts like any other rewards. No penalty is charged once the delay has elapsed.
+        // As the penalty comes out of the collateral, only the withdrawal address can accept it, not the masternode key.
+        if (registrationStatus[_masternode] != RegistrationStatus.WITHDRAWING)
+        {
+            revert WithdrawalNotStarted(_masternode, registrationStatus[_masternode]);
+        }
 
-        uint256 applicableCollateral;
-        if (legacy[msg.sender])
+        if (msg.sender != withdrawalAddress[_masternode])
         {
-            applicableCollateral = COLLATERAL_AMOUNT_LEGACY;
+            revert NotWithdrawalAddress(_masternode, withdrawalAddress[_masternode]);
+        }
+
+        // The penalty is shared out through the native rewards, which token collateral cannot be added to.
+        if (tokenCollateral[_masternode])
+        {
+            revert TokenCollateralNotAllowed(_masternode);
+        }
+
+        uint256 applicableCollateral = collateral[_masternode];
+        uint256 penalty = 0;
+
+        if (block.number - accounts[_masternode].lastClaimedBlock < withdrawalDelay[_masternode])
+        {
+            penalty = applicableCollateral * EARLY_WITHDRAWAL_PENALTY() / PENALTY_DENOMINATOR;
+        }
+
+        address payable recipient = releaseCollateral(_masternode);
+
+        // Once the collateral is released, the penalty is the only part of it not about to be sent out, so this distributes it
+        // along with any other new rewards. Doing so now credits it to the accounts registered at the time of the exit.
+        distribute(applicableCollateral - penalty);
+
+        emit WithdrawalCompleted(_masternode, applicableCollateral);
+        emit EarlyWithdrawal(_masternode, penalty);
+
+        Address.sendValue(recipient, applicableCollateral - penalty);
+    }
 
-            // Once a legacy account de-registers they are not eligible to re-register with the relaxed collateral requirements.
-            delete legacy[msg.sender];
+    function releaseCollateral(address account) internal returns(address payable recipient) {
+        // Removes a withdrawing account from the contract, leaving its collateral to be paid out to the returned withdrawal address.
+        if (tokenCollateral[account])
+        {
+            tokenCollateralAmount -= collateral[account];
         }
         else
         {
-            applicableCollateral = COLLATERAL_AMOUNT;
+            withdrawingCollateralAmount -= collateral[account];
         }
 
-        withdrawingCollateralAmount -= applicableCollateral;
+        // Once a legacy account de-registers they are not eligible to re-register with the relaxed collateral requirements.
+        delete legacy[account];
+
+        recipient = payable(withdrawalAddress[account]);
 
         // Free up storage.
-        delete registrationStatus[msg.sender];
-        delete accounts[msg.sender];
+        delete registrationStatus[account];
+        delete accounts[account];
+        delete rewardRecipient[account];
+        delete withdrawalAddress[account];
+        delete lastHeartbeatBlock[account];
+        delete collateral[account];
+        delete withdrawalDelay[account];
+        delete tokenCollateral[account];
+        delete pendingRegistrationTransfer[account];
+
+        removeMasternode(account);
+    }
+
+    function addMasternode(address account) internal {
+        uint256 sequence = ++lastMasternodeSequence;
+
+        masternodeAccount[sequence] = account;
+        masternodeSequence[account] = sequence;
+        previousMasternode[sequence] = lastMasternode;
+
+        if (lastMasternode == 0)
+        {
+            firstMasternode = sequence;
+        }
+        else
+        {
+            nextMasternode[lastMasternode] = sequence;
+        }
+
+        lastMasternode = sequence;
+        masternodeCount += 1;
+    }
+
+    function removeMasternode(address account) internal {
+        uint256 sequence = masternodeSequence[account];
+        uint256 previous = previousMasternode[sequence];
+        uint256 next = nextMasternode[sequence];
+
+        if (previous == 0)
+        {
+            firstMasternode = next;
+        }
+        else
+        {
+            nextMasternode[previous] = next;
+        }
+
+        if (next == 0)
+        {
+            lastMasternode = previous;
+        }
+        else
+        {
+            previousMasternode[next] = previous;
+        }
+
+        // The removed entry intentionally keeps a forward link, so that a page cursor pointing at it can still continue from where it was.
+        // The entries in between have been removed already, and as sequence numbers are never reused they cannot come back.
+        // Past the end of the list, the link is to the sequence number the next registration will get.
+        nextMasternode[sequence] = next == 0 ? lastMasternodeSequence + 1 : next;
+        delete previousMasternode[sequence];
+        delete masternodeAccount[sequence];
+        delete masternodeSequence[account];
+        masternodeCount -= 1;
+    }
+
+    function replaceMasternode(address account, address replacement) internal {
+        // The replacement takes over the sequence number of the account, and so its position in the list.
+        uint256 sequence = masternodeSequence[account];
+
+        masternodeAccount[sequence] = replacement;
+        masternodeSequence[replacement] = sequence;
+        delete masternodeSequence[account];
+    }
+
+    function getMasternodes(uint256 cursor, uint256 limit) external view returns(MasternodeInfo[] memory entries, uint256 nextCursor) {
+        // Returns up to 'limit' registered or withdrawing accounts following 'cursor', in order of registration.
+        // Pass 0 to start from the beginning, and the returned nextCursor to fetch the next page. nextCursor is 0 once there are no more entries.
+
+        uint256 current = cursor == 0 ? firstMasternode : nextMasternode[cursor];
+
+        // Skip over entries that were removed after the cursor was handed out.
+        while (current != 0 && current <= lastMasternodeSequence && masternodeAccount[current] == address(0))
+        {
+            current = nextMasternode[current];
+        }
+
+        if (current > lastMasternodeSequence)
+        {
+            current = 0;
+        }
+
+        uint256 start = current;
+        uint256 count = 0;
 
-        Address.sendValue(payable(msg.sender), applicableCollateral);
+        while (current != 0 && count < limit)
+        {
+            count += 1;
+            current = nextMasternode[current];
+        }
+
+        entries = new MasternodeInfo[](count);
+        current = start;
+
+        for (uint256 i = 0; i < count; i++)
+        {
+            address account = masternodeAccount[current];
+
+            entries[i] = MasternodeInfo({
+                account: account,
+                status: registrationStatus[account],
+                legacy: legacy[account],
+                inactive: inactive[account],
+                accruedBalance: pendingRewards(account),
+                lastClaimedBlock: accounts[account].lastClaimedBlock
+            });
+
+            nextCursor = current;
+            current = nextMasternode[current];
+        }
+
+        if (current == 0)
+        {
+            nextCursor = 0;
+        }
     }
 }
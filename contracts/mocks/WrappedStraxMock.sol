@@ -0,0 +1,20 @@
+//SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.20;
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// A WETH-style wrapped STRAX token for tests. deposit() mints tokens for the native value sent, withdraw() burns them and returns the value.
+contract WrappedStraxMock is ERC20 {
+    constructor() ERC20("Wrapped Strax", "WSTRAX") {}
+
+    function deposit() external payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+
+        Address.sendValue(payable(msg.sender), amount);
+    }
+}
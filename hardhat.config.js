@@ -1,6 +1,30 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./plugins/stratisChain");
+require("./tasks/genesis");
+require("./tasks/masternode");
+require("./tasks/sdk");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // Keeps the masternode contract below the contract size limit, so that it can also be deployed normally in tests.
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      outputSelection: {
+        // The storage layout is needed to compute genesis storage slots.
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
+  stratis: {
+    // Installs the masternode contract at 0x...1001 on the Hardhat network and mints the block reward into it on every block.
+    enabled: true,
+    blockReward: "30",
+  },
 };
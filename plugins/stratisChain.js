@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const { extendConfig, extendEnvironment, extendProvider } = require("hardhat/config");
+const { ProviderWrapper, HARDHAT_NETWORK_NAME } = require("hardhat/plugins");
+const { parseEther, toQuantity } = require("ethers");
+
+// On Stratis the masternode staking contract is part of the genesis block and the chain mints the masternode share of the block reward directly into it.
+// This plugin reproduces that on the in-process Hardhat network so that fixtures and scripts see the same reward flow as mainnet.
+const MASTERNODE_CONTRACT_ADDRESS = "0x0000000000000000000000000000000000001001";
+const MASTERNODE_BLOCK_REWARD = "30";
+const MASTERNODE_CONTRACT_NAME = "MasternodeStakingContract";
+
+extendConfig((config, userConfig) => {
+    const userStratis = userConfig.stratis ?? {};
+
+    config.stratis = {
+        enabled: userStratis.enabled ?? false,
+        address: userStratis.address ?? MASTERNODE_CONTRACT_ADDRESS,
+        blockReward: parseEther(String(userStratis.blockReward ?? MASTERNODE_BLOCK_REWARD)),
+    };
+});
+
+class StratisChainProvider extends ProviderWrapper {
+    constructor(provider, stratisConfig, artifactsPath) {
+        super(provider);
+
+        this._address = stratisConfig.address;
+        this._blockReward = stratisConfig.blockReward;
+        this._artifactsPath = artifactsPath;
+
+        // The last block for which the reward has already been credited. Undefined until the contract code has been installed.
+        this._lastRewardedBlock = undefined;
+
+        // Installation and reward crediting are chained so that concurrent requests cannot credit the same blocks twice.
+        this._pending = Promise.resolve();
+    }
+
+    async request(args) {
+        await this._serialize(() => this._lastRewardedBlock === undefined ? this._install() : undefined);
+
+        try {
+            return await this._wrappedProvider.request(args);
+        } finally {
+            // Reverted transactions are still mined under automine, so the rewards have to be synced regardless of the outcome.
+            if (args.method === "hardhat_reset") {
+                await this._serialize(() => this._install());
+            } else {
+                await this._serialize(() => this._creditRewards());
+            }
+        }
+    }
+
+    _serialize(action) {
+        const result = this._pending.then(action);
+        this._pending = result.catch(() => {});
+        return result;
+    }
+
+    async _install() {
+        const artifactFile = path.join(this._artifactsPath, "contracts", `${MASTERNODE_CONTRACT_NAME}.sol`, `${MASTERNODE_CONTRACT_NAME}.json`);
+
+        if (!fs.existsSync(artifactFile)) {
+            throw new Error(`Stratis chain mode requires the compiled ${MASTERNODE_CONTRACT_NAME} artifact; run 'npx hardhat compile' first`);
+        }
+
+        const { deployedBytecode } = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+
+        await this._wrappedProvider.request({ method: "hardhat_setCode", params: [this._address, deployedBytecode] });
+
+        this._lastRewardedBlock = await this._blockNumber();
+    }
+
+    async _creditRewards() {
+        const blockNumber = await this._blockNumber();
+
+        // The chain went backwards (e.g. evm_revert from a fixture snapshot); the reverted state already carries the balance it had at that height.
+        if (blockNumber <= this._lastRewardedBlock) {
+            this._lastRewardedBlock = blockNumber;
+            return;
+        }
+
+        const newBlocks = BigInt(blockNumber - this._lastRewardedBlock);
+        const balance = BigInt(await this._wrappedProvider.request({ method: "eth_getBalance", params: [this._address, "latest"] }));
+
+        await this._wrappedProvider.request({
+            method: "hardhat_setBalance",
+            params: [this._address, toQuantity(balance + newBlocks * this._blockReward)],
+        });
+
+        this._lastRewardedBlock = blockNumber;
+    }
+
+    async _blockNumber() {
+        return Number(await this._wrappedProvider.request({ method: "eth_blockNumber" }));
+    }
+}
+
+extendProvider((provider, config, network) => {
+    if (!config.stratis.enabled || network !== HARDHAT_NETWORK_NAME) {
+        return provider;
+    }
+
+    return new StratisChainProvider(provider, config.stratis, config.paths.artifacts);
+});
+
+extendEnvironment((hre) => {
+    hre.stratis = {
+        address: hre.config.stratis.address,
+        blockReward: hre.config.stratis.blockReward,
+
+        // Returns the genesis masternode contract instance, connected to the given signer if one is supplied.
+        async getMasternodeContract(signer) {
+            return hre.ethers.getContractAt(MASTERNODE_CONTRACT_NAME, hre.config.stratis.address, signer);
+        },
+    };
+});
+
+module.exports = {
+    MASTERNODE_CONTRACT_ADDRESS,
+    MASTERNODE_BLOCK_REWARD,
+};
@@ -0,0 +1,101 @@
+const { Interface, formatEther } = require("ethers");
+const { STATUS_NAMES } = require("./nodeInfo");
+
+// Decodes the masternode contract's revert data into readable, structured errors for the tasks and for dApps.
+// The error fragments are listed here rather than taken from the ABI, which also has the errors of the OpenZeppelin libraries,
+// so that only the errors below are decoded.
+
+const ERROR_FRAGMENTS = [
+    "error IncorrectCollateralAmount(uint256 _expected, uint256 _sent, bool _legacy)",
+    "error AccountAlreadyRegistered(address _account, uint8 _status)",
+    "error AccountNotRegistered(address _account, uint8 _status)",
+    "error InvalidPayoutAddress()",
+    "error WithdrawalNotStarted(address _account, uint8 _status)",
+    "error WithdrawalDelayNotElapsed(address _account, uint256 _blocksRemaining)",
+    "error TokenCollateralNotEnabled()",
+    "error TokenCollateralNotAllowed(address _account)",
+    "error NotWithdrawalAddress(address _masternode, address _withdrawalAddress)",
+    "error InvalidTransferAddress(address _newMasternode)",
+];
+
+const errorInterface = new Interface(ERROR_FRAGMENTS);
+
+// Messages for each error, given its decoded arguments. They match the messages of the Hardhat tasks' own checks where there is one.
+const MESSAGES = {
+    IncorrectCollateralAmount: ({ expected, sent, legacy }) =>
+        `Incorrect collateral amount${legacy ? " for legacy node" : ""}: sent ${formatEther(sent)} STRAX, expected ${formatEther(expected)} STRAX`,
+    AccountAlreadyRegistered: ({ status }) => `Account already registered (status ${STATUS_NAMES[Number(status)]})`,
+    AccountNotRegistered: ({ status }) => `Account not registered (status ${STATUS_NAMES[Number(status)]})`,
+    InvalidPayoutAddress: () => "Invalid payout address",
+    WithdrawalNotStarted: ({ status }) => `Account has not started the withdrawal process (status ${STATUS_NAMES[Number(status)]})`,
+    WithdrawalDelayNotElapsed: ({ blocksRemaining }) => `Withdrawal delay has not yet elapsed: ${blocksRemaining} blocks remaining`,
+    TokenCollateralNotEnabled: () => "Token collateral is not enabled",
+    TokenCollateralNotAllowed: () => "Early withdrawal is not available for token collateral",
+    NotWithdrawalAddress: ({ withdrawalAddress }) => `Caller is not the withdrawal address ${withdrawalAddress}`,
+    InvalidTransferAddress: ({ newMasternode }) => `Invalid transfer address ${newMasternode}`,
+    Error: ({ message }) => message,
+    Panic: ({ code }) => `Panic: ${PANIC_REASONS[Number(code)] ?? `code 0x${code.toString(16)}`}`,
+};
+
+const BUILTIN_ARGUMENT_NAMES = {
+    Error: ["message"],
+    Panic: ["code"],
+};
+
+// Panic codes raised by the compiler's checks, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_REASONS = {
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division by zero",
+    0x32: "array index out of bounds",
+};
+
+// Finds the revert data in an error thrown by ethers or by a provider, which may nest the original error.
+function findRevertData(error) {
+    if (typeof error === "string") {
+        return error.startsWith("0x") ? error : undefined;
+    }
+
+    if (error === null || typeof error !== "object") {
+        return undefined;
+    }
+
+    if (typeof error.data === "string" && error.data.startsWith("0x")) {
+        return error.data;
+    }
+
+    return findRevertData(error.data) ?? findRevertData(error.error) ?? findRevertData(error.info?.error) ?? findRevertData(error.cause);
+}
+
+// Returns { name, args, message } for a revert of the masternode contract, where 'args' holds the error's arguments by name
+// without their underscore prefix. require() messages and panics are decoded too, as { message } and { code }.
+// Accepts either the revert data or the thrown error. Returns undefined if there is no revert data, or if it is a custom error of another contract.
+function decodeError(error) {
+    const data = findRevertData(error);
+
+    // A revert without a reason has no selector to decode.
+    if (data === undefined || data.length < 10) {
+        return undefined;
+    }
+
+    const decoded = errorInterface.parseError(data);
+
+    if (decoded === null) {
+        return undefined;
+    }
+
+    // The built-in Error(string) and Panic(uint256) have unnamed arguments.
+    const names = BUILTIN_ARGUMENT_NAMES[decoded.name] ?? decoded.fragment.inputs.map((input) => input.name.replace(/^_/, ""));
+    const args = {};
+
+    names.forEach((name, i) => {
+        args[name] = decoded.args[i];
+    });
+
+    return { name: decoded.name, args, message: MESSAGES[decoded.name](args) };
+}
+
+module.exports = {
+    ERROR_FRAGMENTS,
+    decodeError,
+};
@@ -0,0 +1,98 @@
+import type { AddressLike, ContractRunner, ContractTransactionResponse, InterfaceAbi, BaseContract } from "ethers";
+
+export declare const MASTERNODE_CONTRACT_ADDRESS: string;
+
+export declare const STATUS_NAMES: readonly ["UNREGISTERED", "REGISTERED", "WITHDRAWING"];
+
+export type StatusName = (typeof STATUS_NAMES)[number];
+
+export declare const NodeState: {
+    readonly UNREGISTERED: "unregistered";
+    readonly ACTIVE: "active";
+    readonly INACTIVE: "inactive";
+    readonly WITHDRAWING: "withdrawing";
+    readonly WITHDRAWABLE: "withdrawable";
+};
+
+export type NodeState = (typeof NodeState)[keyof typeof NodeState];
+
+export interface NodeInfo {
+    account: string;
+    status: bigint;
+    statusName: StatusName;
+    state: NodeState;
+    legacy: boolean;
+    // The collateral posted by a registered account, otherwise the amount it would have to post now.
+    collateral: bigint;
+    // Whether the collateral was posted in the contract's collateral token, and is returned in it.
+    tokenCollateral: boolean;
+    rewardRecipient: string;
+    withdrawalAddress: string;
+    lastClaimedBlock: bigint;
+    pendingRewards: bigint;
+    inactive: boolean;
+    lastHeartbeatBlock: bigint;
+    // Set for active accounts while heartbeats are enabled.
+    heartbeatDeadlineBlock: bigint | undefined;
+    pendingRegistrationTransfer: string;
+    blockNumber: bigint;
+    // Set for withdrawing accounts.
+    withdrawalAvailableBlock: bigint | undefined;
+    withdrawalBlocksRemaining: bigint | undefined;
+}
+
+export interface RewardEstimate {
+    pending: bigint;
+    perBlock: bigint;
+    estimated: bigint;
+}
+
+export interface EstimateRewardsOptions {
+    blocks?: bigint | number;
+    sampleBlocks?: bigint | number;
+}
+
+export interface RegisterOptions {
+    rewardRecipient?: string;
+    withdrawalAddress?: string;
+}
+
+export type DecodedErrorArgs = Record<string, bigint | boolean | string>;
+
+export interface DecodedError {
+    name: string;
+    args: DecodedErrorArgs;
+    message: string;
+}
+
+export declare class MasternodeError extends Error {
+    readonly errorName: string;
+    readonly errorArgs: DecodedErrorArgs;
+}
+
+export declare class MasternodeClient {
+    constructor(runner: ContractRunner, address?: string);
+
+    readonly contract: BaseContract;
+
+    getNodeInfo(account?: AddressLike): Promise<NodeInfo>;
+    estimateRewards(account?: AddressLike, options?: EstimateRewardsOptions): Promise<RewardEstimate>;
+
+    register(options?: RegisterOptions): Promise<ContractTransactionResponse>;
+    registerWithToken(options?: RegisterOptions): Promise<ContractTransactionResponse>;
+    claim(): Promise<ContractTransactionResponse>;
+    heartbeat(): Promise<ContractTransactionResponse>;
+    startWithdrawal(): Promise<ContractTransactionResponse>;
+    cancelWithdrawal(): Promise<ContractTransactionResponse>;
+    completeWithdrawal(): Promise<ContractTransactionResponse>;
+    completeWithdrawalEarly(masternode?: AddressLike): Promise<ContractTransactionResponse>;
+}
+
+export declare const abi: InterfaceAbi;
+export declare const ERC20_ABI: readonly string[];
+
+export declare function getNodeInfo(masternodeContract: BaseContract, account: AddressLike): Promise<NodeInfo>;
+export declare function pendingRewards(masternodeContract: BaseContract, account: AddressLike, blockTag?: string | number): Promise<bigint>;
+
+export declare const ERROR_FRAGMENTS: readonly string[];
+export declare function decodeError(error: unknown): DecodedError | undefined;
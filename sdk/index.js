@@ -0,0 +1,163 @@
+const { Contract, ZeroAddress } = require("ethers");
+const abi = require("./abi/MasternodeStakingContract.json");
+const { STATUS_NAMES, NodeState, getNodeInfo } = require("./nodeInfo");
+const { pendingRewards } = require("./rewards");
+const { ERROR_FRAGMENTS, decodeError } = require("./errors");
+
+// The address the masternode contract is allocated at in the Stratis genesis block.
+const MASTERNODE_CONTRACT_ADDRESS = "0x0000000000000000000000000000000000001001";
+
+// The parts of the collateral token's interface that registering with it needs.
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)",
+];
+
+// By default the reward rate is taken from about the last day of 16 second blocks.
+const DEFAULT_SAMPLE_BLOCKS = 5_400n;
+
+// Thrown instead of sending a transaction that the contract would revert. 'errorName' and 'errorArgs' are as returned by decodeError().
+class MasternodeError extends Error {
+    constructor(decoded, options) {
+        super(decoded.message, options);
+        this.name = "MasternodeError";
+        this.errorName = decoded.name;
+        this.errorArgs = decoded.args;
+    }
+}
+
+// High-level access to the masternode contract. Constructed with an ethers provider it can only read,
+// with a signer it also sends transactions from the signer's account.
+class MasternodeClient {
+    constructor(runner, address = MASTERNODE_CONTRACT_ADDRESS) {
+        this.contract = new Contract(address, abi, runner);
+    }
+
+    // Defaults to the signer's account.
+    async getNodeInfo(account) {
+        return getNodeInfo(this.contract, account ?? await this._signerAddress());
+    }
+
+    // Returns the account's pending rewards, the rewards per block that each active registration earned over the last
+    // 'sampleBlocks' blocks, and the rewards the account would have pending after another 'blocks' blocks at that rate.
+    // Only active accounts accrue new rewards.
+    async estimateRewards(account, { blocks = 0n, sampleBlocks = DEFAULT_SAMPLE_BLOCKS } = {}) {
+        const info = await this.getNodeInfo(account);
+
+        const toBlock = info.blockNumber;
+        const fromBlock = toBlock > BigInt(sampleBlocks) ? toBlock - BigInt(sampleBlocks) : 0n;
+
+        const [dividendsFrom, dividendsTo] = await Promise.all([
+            this.contract.totalDividendsAt(fromBlock),
+            this.contract.totalDividendsAt(toBlock),
+        ]);
+
+        const perBlock = toBlock > fromBlock ? (dividendsTo - dividendsFrom) / (toBlock - fromBlock) : 0n;
+
+        return {
+            pending: info.pendingRewards,
+            perBlock,
+            estimated: info.pendingRewards + (info.state === NodeState.ACTIVE ? perBlock * BigInt(blocks) : 0n),
+        };
+    }
+
+    // Posts the regular or legacy collateral, whichever applies to the signer's account. The payout addresses default to the account itself.
+    async register({ rewardRecipient, withdrawalAddress } = {}) {
+        const info = await this.getNodeInfo();
+        const overrides = { value: info.collateral };
+
+        if (rewardRecipient === undefined && withdrawalAddress === undefined) {
+            return this._send("register", [], overrides);
+        }
+
+        return this._send("registerWithPayoutAddresses", [rewardRecipient ?? info.account, withdrawalAddress ?? info.account], overrides);
+    }
+
+    // Posts the collateral in the contract's collateral token instead, first approving the contract to transfer it if necessary.
+    // Returns the registration transaction.
+    async registerWithToken({ rewardRecipient, withdrawalAddress } = {}) {
+        const info = await this.getNodeInfo();
+        const collateralToken = await this.contract.collateralToken();
+
+        // Otherwise the registration is left to fail with the contract's error.
+        if (collateralToken !== ZeroAddress && info.statusName === "UNREGISTERED") {
+            const token = new Contract(collateralToken, ERC20_ABI, this.contract.runner);
+            const spender = await this.contract.getAddress();
+
+            if (await token.allowance(info.account, spender) < info.collateral) {
+                await (await token.approve(spender, info.collateral)).wait();
+            }
+        }
+
+        return this._send("registerWithToken", [rewardRecipient ?? info.account, withdrawalAddress ?? info.account]);
+    }
+
+    claim() {
+        return this._send("claimRewards", []);
+    }
+
+    heartbeat() {
+        return this._send("heartbeat", []);
+    }
+
+    startWithdrawal() {
+        return this._send("startWithdrawal", []);
+    }
+
+    cancelWithdrawal() {
+        return this._send("cancelWithdrawal", []);
+    }
+
+    completeWithdrawal() {
+        return this._send("completeWithdrawal", []);
+    }
+
+    // Returns the collateral before the withdrawal delay has elapsed, forfeiting EARLY_WITHDRAWAL_PENALTY() basis points of it.
+    // Sent from the withdrawal address; the masternode defaults to the signer's own account.
+    async completeWithdrawalEarly(masternode) {
+        return this._send("completeWithdrawalEarly", [masternode ?? await this._signerAddress()]);
+    }
+
+    async _signerAddress() {
+        if (typeof this.contract.runner?.getAddress !== "function") {
+            throw new Error("An account is required when the client has no signer");
+        }
+
+        return this.contract.runner.getAddress();
+    }
+
+    // Simulates the transaction first, so that one that would revert is not sent and the contract's error is thrown instead.
+    // The simulation runs in the pending block, as that is the earliest the transaction can be mined in. Returns the sent transaction.
+    async _send(method, args, overrides = {}) {
+        const contractMethod = this.contract.getFunction(method);
+
+        try {
+            await contractMethod.staticCall(...args, { ...overrides, blockTag: "pending" });
+
+            return await contractMethod.send(...args, overrides);
+        } catch (error) {
+            const decoded = decodeError(error);
+
+            if (decoded === undefined) {
+                throw error;
+            }
+
+            throw new MasternodeError(decoded, { cause: error });
+        }
+    }
+}
+
+module.exports = {
+    MASTERNODE_CONTRACT_ADDRESS,
+    STATUS_NAMES,
+    NodeState,
+    MasternodeClient,
+    MasternodeError,
+    abi,
+    ERC20_ABI,
+    getNodeInfo,
+    pendingRewards,
+    ERROR_FRAGMENTS,
+    decodeError,
+};
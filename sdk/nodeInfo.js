@@ -0,0 +1,100 @@
+const { resolveAddress, ZeroAddress } = require("ethers");
+const { callOrDefault, pendingRewards } = require("./rewards");
+
+// Names of the contract's RegistrationStatus enum values, indexed by value.
+const STATUS_NAMES = ["UNREGISTERED", "REGISTERED", "WITHDRAWING"];
+
+// What an account can do next, which the registration status alone doesn't tell: a registered account may have been
+// marked inactive, and a withdrawing one may already be able to complete its withdrawal.
+const NodeState = {
+    UNREGISTERED: "unregistered",
+    ACTIVE: "active",
+    INACTIVE: "inactive",
+    WITHDRAWING: "withdrawing",
+    WITHDRAWABLE: "withdrawable",
+};
+
+// Collects everything an operator needs to know about a masternode account in one place.
+// The account can be given as an address, or as anything ethers resolves to one, e.g. a signer or an ENS name.
+// Like pendingRewards(), this works against deployments that predate the later getters, which then report what those deployments behave like.
+async function getNodeInfo(masternodeContract, account) {
+    const provider = masternodeContract.runner.provider;
+    const address = await resolveAddress(account, provider);
+
+    const [status, legacy, rewardRecipient, withdrawalAddress, accountState, postedCollateral, tokenCollateral, inactive, lastHeartbeatBlock, pendingRegistrationTransfer, heartbeatWindow, withdrawalDelay, collateralAmount, collateralAmountLegacy, pending, blockNumber] = await Promise.all([
+        masternodeContract.registrationStatus(address),
+        masternodeContract.legacy(address),
+        // Without payout addresses, rewards and collateral go to the account itself.
+        callOrDefault(masternodeContract.rewardRecipient(address), undefined),
+        callOrDefault(masternodeContract.withdrawalAddress(address), undefined),
+        masternodeContract.accounts(address),
+        // Without parameter changes, the posted collateral is the current amount.
+        callOrDefault(masternodeContract.collateral(address), undefined),
+        callOrDefault(masternodeContract.tokenCollateral(address), false),
+        callOrDefault(masternodeContract.inactive(address), false),
+        callOrDefault(masternodeContract.lastHeartbeatBlock(address), 0n),
+        callOrDefault(masternodeContract.pendingRegistrationTransfer(address), ZeroAddress),
+        callOrDefault(masternodeContract.heartbeatWindow(), 0n),
+        // The delay recorded when the withdrawal started, which later parameter changes don't affect, or the fixed delay.
+        callOrDefault(masternodeContract.withdrawalDelay(address), undefined).then((delay) => delay ?? masternodeContract.WITHDRAWAL_DELAY()),
+        masternodeContract.COLLATERAL_AMOUNT(),
+        masternodeContract.COLLATERAL_AMOUNT_LEGACY(),
+        pendingRewards(masternodeContract, address),
+        provider.getBlockNumber(),
+    ]);
+
+    const requiredCollateral = legacy ? collateralAmountLegacy : collateralAmount;
+    const payoutAddress = status === 0n ? ZeroAddress : address;
+
+    const info = {
+        account: address,
+        status,
+        statusName: STATUS_NAMES[Number(status)],
+        state: undefined,
+        legacy,
+        // The collateral posted by a registered account, otherwise the amount it would have to post now.
+        collateral: status === 0n ? requiredCollateral : (postedCollateral ?? requiredCollateral),
+        // Whether the collateral was posted in the contract's collateral token, and is returned in it.
+        tokenCollateral,
+        rewardRecipient: rewardRecipient ?? payoutAddress,
+        withdrawalAddress: withdrawalAddress ?? payoutAddress,
+        lastClaimedBlock: accountState.lastClaimedBlock,
+        pendingRewards: pending,
+        inactive,
+        lastHeartbeatBlock,
+        heartbeatDeadlineBlock: undefined,
+        pendingRegistrationTransfer,
+        blockNumber: BigInt(blockNumber),
+        withdrawalAvailableBlock: undefined,
+        withdrawalBlocksRemaining: undefined,
+    };
+
+    if (info.statusName === "REGISTERED" && !inactive && heartbeatWindow > 0n) {
+        // markInactive() succeeds in any block after this one.
+        info.heartbeatDeadlineBlock = lastHeartbeatBlock + heartbeatWindow;
+    }
+
+    if (info.statusName === "WITHDRAWING") {
+        // completeWithdrawal() will be mined in the next block at the earliest.
+        info.withdrawalAvailableBlock = accountState.lastClaimedBlock + withdrawalDelay;
+        info.withdrawalBlocksRemaining = info.withdrawalAvailableBlock > info.blockNumber + 1n
+            ? info.withdrawalAvailableBlock - (info.blockNumber + 1n)
+            : 0n;
+    }
+
+    if (info.statusName === "UNREGISTERED") {
+        info.state = NodeState.UNREGISTERED;
+    } else if (info.statusName === "REGISTERED") {
+        info.state = inactive ? NodeState.INACTIVE : NodeState.ACTIVE;
+    } else {
+        info.state = info.withdrawalBlocksRemaining > 0n ? NodeState.WITHDRAWING : NodeState.WITHDRAWABLE;
+    }
+
+    return info;
+}
+
+module.exports = {
+    STATUS_NAMES,
+    NodeState,
+    getNodeInfo,
+};
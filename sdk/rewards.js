@@ -0,0 +1,59 @@
+// Resolves to the result of the given contract call, or to defaultValue if the deployment doesn't have the called function.
+// Calling a missing function reverts without any revert data, or returns nothing if the contract has a fallback.
+// Any other failure, e.g. a network error or a revert with a reason, is rethrown rather than mistaken for an older deployment.
+// Hardhat's in-process network reports the empty revert as its own error without a code, so an empty revert is accepted from any error.
+async function callOrDefault(call, defaultValue) {
+    try {
+        return await call;
+    } catch (error) {
+        if (error.code === "BAD_DATA" || error.data === "0x" || (error.code === "CALL_EXCEPTION" && error.data == null)) {
+            return defaultValue;
+        }
+
+        throw error;
+    }
+}
+
+// Computes the amount claimRewards() would pay out to an account from the contract's public state alone.
+// This mirrors pendingRewards() on the contract, but also works against deployments that predate that view.
+async function pendingRewards(masternodeContract, account, blockTag = "latest") {
+    const overrides = { blockTag };
+
+    const [status, inactive, accountState, totalDividends, totalRegistrations, lastBalance, totalCollateralAmount, withdrawingCollateralAmount, lockedCampaignAmount, balance] = await Promise.all([
+        masternodeContract.registrationStatus(account, overrides),
+        // Deployments without heartbeats never mark an account inactive.
+        callOrDefault(masternodeContract.inactive(account, overrides), false),
+        masternodeContract.accounts(account, overrides),
+        masternodeContract.totalDividends(overrides),
+        masternodeContract.totalRegistrations(overrides),
+        masternodeContract.lastBalance(overrides),
+        masternodeContract.totalCollateralAmount(overrides),
+        masternodeContract.withdrawingCollateralAmount(overrides),
+        // Deployments without reward campaigns have no campaign funds to hold back.
+        callOrDefault(masternodeContract.lockedCampaignAmount(overrides), 0n),
+        masternodeContract.runner.provider.getBalance(await masternodeContract.getAddress(), blockTag),
+    ]);
+
+    // Only registered accounts can claim.
+    if (status !== 1n) {
+        return 0n;
+    }
+
+    // Inactive accounts do not share in new rewards until their next heartbeat.
+    if (inactive) {
+        return accountState.balance;
+    }
+
+    let pendingDividends = totalDividends;
+
+    if (totalRegistrations > 0n) {
+        pendingDividends += (balance - lastBalance - totalCollateralAmount - withdrawingCollateralAmount - lockedCampaignAmount) / totalRegistrations;
+    }
+
+    return accountState.balance + (pendingDividends - accountState.lastDividends);
+}
+
+module.exports = {
+    callOrDefault,
+    pendingRewards,
+};
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { readLegacyAccounts, buildGenesisAlloc, verifyGenesisAlloc } = require("../utils/genesis");
+
+const MASTERNODE_CONTRACT = "contracts/MasternodeStakingContract.sol:MasternodeStakingContract";
+
+task("genesis:alloc", "Generates the genesis alloc entry for the masternode contract with the legacy accounts pre-assigned")
+    .addParam("legacy", "CSV or JSON file listing the legacy masternode addresses")
+    .addOptionalParam("output", "File to write the alloc JSON to (defaults to stdout)")
+    .addOptionalParam("address", "Address the contract is allocated at (defaults to the configured Stratis masternode address)")
+    .addOptionalParam("heartbeatWindow", "Number of blocks within which masternodes have to send a heartbeat (0 disables heartbeats)", 0, types.int)
+    .addOptionalParam("admin", "Address allowed to propose parameter changes, e.g. a multisig (parameter changes are disabled if not given)")
+    .addOptionalParam("timelockDelay", "Number of blocks between proposing and executing a parameter change (required with --admin, at least MIN_TIMELOCK_DELAY)", undefined, types.int)
+    .addOptionalParam("collateralToken", "ERC-20 token, e.g. wrapped STRAX, that collateral can also be posted in (token collateral is disabled if not given)")
+    .addOptionalParam("balance", "Initial contract balance in STRAX", "0", types.string)
+    .setAction(async (args, hre) => {
+        if (hre.network.name !== "hardhat") {
+            throw new Error("genesis:alloc verifies its output on the in-process Hardhat network; run it without --network");
+        }
+
+        await hre.run(TASK_COMPILE, { quiet: true });
+
+        const artifact = await hre.artifacts.readArtifact(MASTERNODE_CONTRACT);
+        const buildInfo = await hre.artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+        const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+        if (args.admin !== undefined && args.timelockDelay === undefined) {
+            throw new Error("--timelock-delay is required with --admin");
+        }
+
+        const legacyAccounts = readLegacyAccounts(args.legacy);
+        const heartbeatWindow = BigInt(args.heartbeatWindow);
+        const admin = args.admin ?? hre.ethers.ZeroAddress;
+        const timelockDelay = BigInt(args.timelockDelay ?? 0);
+        const collateralToken = args.collateralToken ?? hre.ethers.ZeroAddress;
+
+        const alloc = buildGenesisAlloc({
+            address: args.address ?? hre.config.stratis.address,
+            deployedBytecode: artifact.deployedBytecode,
+            storageLayout,
+            legacyAccounts,
+            heartbeatWindow,
+            admin,
+            timelockDelay,
+            collateralToken,
+            balance: hre.ethers.parseEther(args.balance),
+        });
+
+        const problems = await verifyGenesisAlloc(hre.ethers.provider, artifact.abi, alloc, { legacyAccounts, heartbeatWindow, admin, timelockDelay, collateralToken });
+
+        if (problems.length > 0) {
+            throw new Error(`Generated alloc failed verification:\n  ${problems.join("\n  ")}`);
+        }
+
+        const json = JSON.stringify(alloc, null, 2);
+
+        if (args.output === undefined) {
+            console.log(json);
+        } else {
+            fs.writeFileSync(args.output, json + "\n");
+            console.log(`Wrote alloc for ${legacyAccounts.length} legacy accounts to ${args.output}`);
+        }
+    });
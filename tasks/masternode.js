@@ -0,0 +1,364 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+    STATUS_NAMES,
+    getNodeInfo,
+    assertCanRegister,
+    assertCanRegisterWithToken,
+    assertCanClaim,
+    assertCanHeartbeat,
+    assertCanStartWithdrawal,
+    assertCanCancelWithdrawal,
+    assertCanCompleteWithdrawal,
+    assertCanStartRegistrationTransfer,
+    assertCanCancelRegistrationTransfer,
+    assertCanAcceptRegistrationTransfer,
+} = require("../utils/masternode");
+const {
+    PERIODS,
+    getPeriodRewards,
+    getClaims,
+    periodRewardsToCsv,
+    claimsToCsv,
+} = require("../utils/rewardHistory");
+const { ERC20_ABI, decodeError } = require("../sdk");
+
+// Adds the parameters shared by all masternode tasks.
+function masternodeTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("contract", "Masternode contract address (defaults to the configured Stratis masternode address)")
+        .addOptionalParam("from", "Masternode account (defaults to the first configured account)");
+}
+
+async function connect(args, hre) {
+    const signer = args.from === undefined
+        ? (await hre.ethers.getSigners())[0]
+        : await hre.ethers.getSigner(args.from);
+
+    const masternodeContract = await hre.ethers.getContractAt(
+        "MasternodeStakingContract",
+        args.contract ?? hre.config.stratis.address,
+        signer);
+
+    return { signer, masternodeContract };
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date ${value}`);
+    }
+
+    return date;
+}
+
+async function send(description, txPromise) {
+    // The checks before each transaction can't rule out a revert, e.g. if the account's state changes in the meantime,
+    // so the contract's errors are reported the same way.
+    try {
+        const tx = await txPromise;
+
+        console.log(`${description}: ${tx.hash}`);
+
+        return await tx.wait();
+    } catch (error) {
+        const decoded = decodeError(error);
+
+        if (decoded === undefined) {
+            throw error;
+        }
+
+        throw new Error(`${description} failed: ${decoded.message}`, { cause: error });
+    }
+}
+
+function printNodeInfo(hre, info) {
+    const { formatEther } = hre.ethers;
+
+    console.log(`Account:            ${info.account}`);
+    console.log(`Status:             ${info.statusName}`);
+    console.log(`Legacy:             ${info.legacy}`);
+    console.log(`Collateral:         ${formatEther(info.collateral)} STRAX${info.tokenCollateral ? " (token)" : ""}`);
+
+    if (info.statusName !== "UNREGISTERED") {
+        console.log(`Reward recipient:   ${info.rewardRecipient}`);
+        console.log(`Withdrawal address: ${info.withdrawalAddress}`);
+    }
+
+    if (info.pendingRegistrationTransfer !== hre.ethers.ZeroAddress) {
+        console.log(`Transfer:           pending acceptance by ${info.pendingRegistrationTransfer}`);
+    }
+
+    console.log(`Pending rewards:    ${formatEther(info.pendingRewards)} STRAX`);
+    console.log(`Last claimed block: ${info.lastClaimedBlock}`);
+
+    if (info.inactive) {
+        console.log(`Heartbeat:          inactive since missing the heartbeat after block ${info.lastHeartbeatBlock}`);
+    } else if (info.heartbeatDeadlineBlock !== undefined) {
+        console.log(`Heartbeat:          last sent at block ${info.lastHeartbeatBlock}, next due by block ${info.heartbeatDeadlineBlock}`);
+    }
+
+    console.log(`Current block:      ${info.blockNumber}`);
+
+    if (info.withdrawalAvailableBlock !== undefined) {
+        console.log(`Withdrawal:         available at block ${info.withdrawalAvailableBlock} (${info.withdrawalBlocksRemaining} blocks remaining)`);
+    }
+}
+
+// Registers with collateral in the contract's collateral token, approving the contract to transfer it first if needed.
+async function registerWithToken(args, hre, signer, masternodeContract, info) {
+    const collateralToken = await masternodeContract.collateralToken();
+    const token = new hre.ethers.Contract(collateralToken, ERC20_ABI, signer);
+
+    assertCanRegisterWithToken(info, collateralToken, collateralToken === hre.ethers.ZeroAddress ? 0n : await token.balanceOf(signer.address));
+
+    const rewardRecipient = args.rewardRecipient ?? signer.address;
+    const withdrawalAddress = args.withdrawalAddress ?? signer.address;
+    const spender = await masternodeContract.getAddress();
+
+    console.log(`Registering ${signer.address} with ${hre.ethers.formatEther(info.collateral)} STRAX${info.legacy ? " (legacy)" : ""} collateral in token ${collateralToken}`);
+    console.log(`Rewards are paid to ${rewardRecipient}, collateral is returned to ${withdrawalAddress}`);
+
+    if (await token.allowance(signer.address, spender) < info.collateral) {
+        await send("Token approval transaction", token.approve(spender, info.collateral));
+    }
+
+    return send("Registration transaction", masternodeContract.registerWithToken(rewardRecipient, withdrawalAddress));
+}
+
+masternodeTask("masternode:status", "Shows the registration status, rewards and withdrawal progress of a masternode account")
+    .addOptionalParam("account", "Account to report on (defaults to --from)")
+    .addFlag("json", "Print the status as JSON")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, args.account ?? signer.address);
+
+        if (args.json) {
+            console.log(JSON.stringify(info, (key, value) => typeof value === "bigint" ? value.toString() : value, 2));
+        } else {
+            printNodeInfo(hre, info);
+        }
+
+        return info;
+    });
+
+masternodeTask("masternode:list", "Lists all registered and withdrawing masternode accounts")
+    .addOptionalParam("pageSize", "Number of accounts fetched per call", 100, types.int)
+    .addFlag("json", "Print the list as JSON")
+    .setAction(async (args, hre) => {
+        const { masternodeContract } = await connect(args, hre);
+        const { formatEther } = hre.ethers;
+
+        const masternodes = [];
+        let cursor = 0n;
+
+        do {
+            const [entries, nextCursor] = await masternodeContract.getMasternodes(cursor, args.pageSize);
+
+            for (const entry of entries) {
+                masternodes.push({
+                    account: entry.account,
+                    status: entry.status,
+                    statusName: STATUS_NAMES[Number(entry.status)],
+                    legacy: entry.legacy,
+                    inactive: entry.inactive,
+                    accruedBalance: entry.accruedBalance,
+                    lastClaimedBlock: entry.lastClaimedBlock,
+                });
+            }
+
+            cursor = nextCursor;
+        } while (cursor !== 0n);
+
+        if (args.json) {
+            console.log(JSON.stringify(masternodes, (key, value) => typeof value === "bigint" ? value.toString() : value, 2));
+        } else {
+            for (const masternode of masternodes) {
+                console.log(`${masternode.account}  ${masternode.statusName.padEnd(11)}  ${masternode.legacy ? "legacy" : "      "}  ${masternode.inactive ? "inactive" : "        "}  ${formatEther(masternode.accruedBalance)} STRAX  last claimed at block ${masternode.lastClaimedBlock}`);
+            }
+
+            console.log(`${masternodes.length} masternodes`);
+        }
+
+        return masternodes;
+    });
+
+masternodeTask("masternode:register", "Registers the account as a masternode, posting the regular or legacy collateral as applicable")
+    .addOptionalParam("rewardRecipient", "Address the rewards are paid out to (defaults to the masternode account)")
+    .addOptionalParam("withdrawalAddress", "Address the collateral is returned to, which also controls both payout addresses (defaults to the masternode account)")
+    .addFlag("token", "Post the collateral in the contract's collateral token, e.g. wrapped STRAX, instead of native STRAX")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        if (args.token) {
+            return registerWithToken(args, hre, signer, masternodeContract, info);
+        }
+
+        assertCanRegister(info, await hre.ethers.provider.getBalance(signer.address));
+
+        console.log(`Registering ${signer.address} with ${hre.ethers.formatEther(info.collateral)} STRAX${info.legacy ? " (legacy)" : ""} collateral`);
+
+        if (args.rewardRecipient === undefined && args.withdrawalAddress === undefined) {
+            return send("Registration transaction", masternodeContract.register({ value: info.collateral }));
+        }
+
+        const rewardRecipient = args.rewardRecipient ?? signer.address;
+        const withdrawalAddress = args.withdrawalAddress ?? signer.address;
+
+        console.log(`Rewards are paid to ${rewardRecipient}, collateral is returned to ${withdrawalAddress}`);
+
+        return send("Registration transaction", masternodeContract.registerWithPayoutAddresses(rewardRecipient, withdrawalAddress, { value: info.collateral }));
+    });
+
+masternodeTask("masternode:claim", "Claims the rewards accrued by a registered masternode account")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        assertCanClaim(info);
+
+        console.log(`Claiming approximately ${hre.ethers.formatEther(info.pendingRewards)} STRAX for ${signer.address} to ${info.rewardRecipient}`);
+
+        return send("Claim transaction", masternodeContract.claimRewards());
+    });
+
+masternodeTask("masternode:heartbeat", "Signals that the masternode is online, reactivating it if it was marked inactive")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        assertCanHeartbeat(info);
+
+        if (info.inactive) {
+            console.log(`Reactivating ${signer.address}`);
+        }
+
+        return send("Heartbeat transaction", masternodeContract.heartbeat());
+    });
+
+masternodeTask("masternode:withdraw:start", "Claims outstanding rewards and starts the withdrawal delay for the collateral")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        assertCanStartWithdrawal(info);
+
+        const receipt = await send("Withdrawal start transaction", masternodeContract.startWithdrawal());
+        const withdrawalDelay = await masternodeContract.withdrawalDelay(signer.address);
+
+        console.log(`Collateral can be withdrawn from block ${BigInt(receipt.blockNumber) + withdrawalDelay}`);
+
+        return receipt;
+    });
+
+masternodeTask("masternode:withdraw:cancel", "Cancels an in-progress withdrawal and returns the account to the registered state")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        assertCanCancelWithdrawal(info);
+
+        return send("Withdrawal cancellation transaction", masternodeContract.cancelWithdrawal());
+    });
+
+masternodeTask("masternode:withdraw:complete", "Returns the collateral once the withdrawal delay has elapsed")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+
+        const info = await getNodeInfo(masternodeContract, signer.address);
+
+        assertCanCompleteWithdrawal(info);
+
+        console.log(`Withdrawing ${hre.ethers.formatEther(info.collateral)} STRAX collateral to ${info.withdrawalAddress}`);
+
+        return send("Withdrawal transaction", masternodeContract.completeWithdrawal());
+    });
+
+masternodeTask("masternode:transfer:start", "Offers the registration of a masternode to a new address, which has to accept it. Sent from the withdrawal address")
+    .addParam("to", "Address the registration is transferred to")
+    .addOptionalParam("masternode", "Masternode account to transfer (defaults to --from)")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+        const masternode = hre.ethers.getAddress(args.masternode ?? signer.address);
+        const to = hre.ethers.getAddress(args.to);
+
+        const info = await getNodeInfo(masternodeContract, masternode);
+
+        assertCanStartRegistrationTransfer(info, signer.address, to);
+
+        console.log(`Offering the registration of ${masternode} to ${to}, which has to accept it with masternode:transfer:accept`);
+
+        return send("Transfer start transaction", masternodeContract.startRegistrationTransfer(masternode, to));
+    });
+
+masternodeTask("masternode:transfer:cancel", "Withdraws a registration transfer that has not been accepted yet. Sent from the withdrawal address")
+    .addOptionalParam("masternode", "Masternode account being transferred (defaults to --from)")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+        const masternode = hre.ethers.getAddress(args.masternode ?? signer.address);
+
+        const info = await getNodeInfo(masternodeContract, masternode);
+
+        assertCanCancelRegistrationTransfer(info, signer.address);
+
+        return send("Transfer cancellation transaction", masternodeContract.cancelRegistrationTransfer(masternode));
+    });
+
+masternodeTask("masternode:transfer:accept", "Takes over the registration of a masternode that was offered to the account")
+    .addParam("masternode", "Masternode account being transferred")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+        const masternode = hre.ethers.getAddress(args.masternode);
+
+        const [info, newInfo] = await Promise.all([
+            getNodeInfo(masternodeContract, masternode),
+            getNodeInfo(masternodeContract, signer.address),
+        ]);
+
+        assertCanAcceptRegistrationTransfer(info, newInfo);
+
+        console.log(`Taking over the ${info.statusName.toLowerCase()} registration of ${masternode} with ${hre.ethers.formatEther(info.collateral)} STRAX${info.legacy ? " (legacy)" : ""} collateral`);
+
+        return send("Transfer acceptance transaction", masternodeContract.acceptRegistrationTransfer(masternode));
+    });
+
+masternodeTask("masternode:rewards", "Exports the rewards of a masternode account per period, or its individual claims, as CSV")
+    .addParam("start", "Start of the date range, e.g. 2026-01-01 (UTC unless a time zone is given)")
+    .addOptionalParam("end", "End of the date range, exclusive (defaults to the latest block)")
+    .addOptionalParam("period", `Length of the periods: ${PERIODS.join(", ")}`, "month")
+    .addOptionalParam("account", "Account to report on (defaults to --from)")
+    .addFlag("claims", "List the individual claims instead of the rewards earned per period")
+    .addOptionalParam("output", "File to write the CSV to (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const { signer, masternodeContract } = await connect(args, hre);
+        const account = args.account ?? signer.address;
+        const latestBlock = await hre.ethers.provider.getBlock("latest");
+        const range = {
+            start: parseDate(args.start, "start"),
+            // Just after the latest block, so that it is included.
+            end: args.end === undefined ? new Date((latestBlock.timestamp + 1) * 1000) : parseDate(args.end, "end"),
+            period: args.period,
+        };
+
+        const rows = args.claims
+            ? await getClaims(masternodeContract, account, range)
+            : await getPeriodRewards(masternodeContract, account, range);
+        const csv = args.claims ? claimsToCsv(rows) : periodRewardsToCsv(rows);
+
+        if (args.output === undefined) {
+            console.log(csv);
+        } else {
+            fs.writeFileSync(args.output, csv + "\n");
+            console.log(`Wrote ${rows.length} ${args.claims ? "claims" : "periods"} for ${account} to ${args.output}`);
+        }
+
+        return rows;
+    });
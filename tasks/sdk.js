@@ -0,0 +1,20 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+
+const MASTERNODE_CONTRACT = "contracts/MasternodeStakingContract.sol:MasternodeStakingContract";
+
+// The SDK package ships the ABI itself, so that it works without this repository's build. The SDK tests check that it is current.
+const ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "MasternodeStakingContract.json");
+
+task("sdk:abi", "Copies the masternode contract's ABI into the SDK package")
+    .setAction(async (args, hre) => {
+        await hre.run(TASK_COMPILE, { quiet: true });
+
+        const artifact = await hre.artifacts.readArtifact(MASTERNODE_CONTRACT);
+
+        fs.writeFileSync(ABI_FILE, JSON.stringify(artifact.abi, null, 2) + "\n");
+
+        console.log(`Wrote ${path.relative(process.cwd(), ABI_FILE)}`);
+    });
@@ -0,0 +1,488 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { MasternodeModel, ModelRevert } = require("../utils/model");
+
+// The number of random sequences and their length can be raised for longer fuzzing sessions, e.g. FUZZ_SEEDS=50 FUZZ_STEPS=2000.
+const FUZZ_SEEDS = Number(process.env.FUZZ_SEEDS ?? 4);
+const FUZZ_STEPS = Number(process.env.FUZZ_STEPS ?? 500);
+const FUZZ_SEED_OFFSET = Number(process.env.FUZZ_SEED_OFFSET ?? 0);
+
+const ACCOUNT_COUNT = 8;
+// The last accounts never register themselves, so there are always addresses a registration can be transferred to.
+const TRANSFER_ONLY_ACCOUNT_COUNT = 2;
+const LEGACY_ACCOUNT_COUNT = 2;
+const HEARTBEAT_WINDOW = 30n;
+const TIMELOCK_DELAY = 5_400n;
+
+describe("Differential fuzzing against the reference model", function () {
+    this.timeout(0);
+
+    // Small deterministic PRNG so that failing sequences can be reproduced from their seed.
+    function random(seed) {
+        let state = seed >>> 0;
+
+        return function (n) {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return (((t ^ (t >>> 14)) >>> 0) % n);
+        };
+    }
+
+    // Generates a sequence of operations. Operations don't depend on the state they will be applied to,
+    // so any subsequence is still a valid sequence; invalid operations simply revert in both implementations.
+    function generateSequence(seed, steps) {
+        const next = random(seed);
+        const sequence = [];
+        let lastTransfer;
+
+        for (let step = 0; step < steps; step++) {
+            const account = next(ACCOUNT_COUNT);
+            const roll = next(100);
+
+            if (roll < 20) {
+                // Mostly block-reward sized amounts, sometimes just a few wei to exercise rounding.
+                const amount = next(4) === 0
+                    ? BigInt(next(20) + 1)
+                    : ethers.parseEther("30") * BigInt(next(5) + 1) + BigInt(next(1_000_000));
+                sequence.push({ op: "reward", amount });
+            } else if (roll < 30) {
+                // Sometimes up to around the withdrawal delay or the timelock delay.
+                const long = next(2) === 0 ? 100_800 : Number(TIMELOCK_DELAY);
+                const blocks = next(3) === 0 ? long - 5 + next(10) : next(20) + 1;
+                sequence.push({ op: "mine", blocks });
+            } else if (roll < 50) {
+                // About a quarter of the registrations post token collateral.
+                const value = ["applicable", "applicable", "applicable", "applicable", "applicable", "regular", "legacy", "wrong", "token", "token", "token"][next(11)];
+                const op = value === "token" ? "registerWithToken" : "register";
+                sequence.push({ op, account: account % (ACCOUNT_COUNT - TRANSFER_ONLY_ACCOUNT_COUNT), value });
+            } else if (roll < 59) {
+                sequence.push({ op: "claimRewards", account });
+            } else if (roll < 62) {
+                // Mostly to one of the accounts that don't register themselves, which are more likely to be able to accept.
+                const target = next(4) === 0 ? next(ACCOUNT_COUNT) : ACCOUNT_COUNT - 1 - next(TRANSFER_ONLY_ACCOUNT_COUNT);
+                lastTransfer = { op: "startRegistrationTransfer", account, target };
+                sequence.push(lastTransfer);
+            } else if (roll < 65) {
+                // Usually accepts the last transfer started, as a random pair would hardly ever match.
+                if (lastTransfer !== undefined && next(4) !== 0) {
+                    sequence.push({ op: "acceptRegistrationTransfer", account: lastTransfer.target, target: lastTransfer.account });
+                } else {
+                    sequence.push({ op: "acceptRegistrationTransfer", account, target: next(ACCOUNT_COUNT) });
+                }
+            } else if (roll < 72) {
+                sequence.push({ op: "heartbeat", account });
+            } else if (roll < 78) {
+                sequence.push({ op: "markInactive", account, target: next(ACCOUNT_COUNT) });
+            } else if (roll < 86) {
+                sequence.push({ op: "startWithdrawal", account });
+            } else if (roll < 90) {
+                sequence.push({ op: "cancelWithdrawal", account });
+            } else if (roll < 92) {
+                // Sets a parameter to zero, half, once or one and a half times its default. Only the penalty can be zero.
+                sequence.push({ op: "proposeParameterChange", parameter: next(4), factor: next(4) });
+            } else if (roll < 94) {
+                sequence.push({ op: "executeParameterChange", account, parameter: next(4) });
+            } else if (roll < 96) {
+                // Mostly short campaigns, which end at the next period boundary and so run out within the sequence, sometimes below the minimum amount.
+                const amount = next(5) === 0 ? ethers.parseEther("999") : ethers.parseEther("1000") * BigInt(next(5) + 1) + BigInt(next(1_000_000));
+                sequence.push({ op: "fundRewards", account, amount, duration: next(10) === 0 ? 0 : next(200) + 1 });
+            } else if (roll < 98) {
+                sequence.push({ op: "completeWithdrawal", account });
+            } else {
+                // Mostly for the sender's own registration, sometimes for another account's, which is rejected.
+                sequence.push({ op: "completeWithdrawalEarly", account, target: next(4) === 0 ? next(ACCOUNT_COUNT) : account });
+            }
+        }
+
+        return sequence;
+    }
+
+    function stringify(value) {
+        return JSON.stringify(value, (key, value) => typeof value === "bigint" ? value.toString() : value);
+    }
+
+    async function deployFuzzFixture() {
+        const signers = (await ethers.getSigners()).slice(0, ACCOUNT_COUNT);
+        const legacyAccounts = signers.slice(0, LEGACY_ACCOUNT_COUNT).map((signer) => signer.address);
+        const admin = (await ethers.getSigners())[ACCOUNT_COUNT];
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+        const collateralToken = await ethers.deployContract("WrappedStraxMock");
+
+        await masternodeContract.waitForDeployment();
+
+        // Enough tokens to register at the largest collateral amount a parameter change can set.
+        for (const signer of signers) {
+            await setBalance(signer.address, ethers.parseEther("100000000"));
+            await collateralToken.connect(signer).deposit({ value: ethers.parseEther("2000000") });
+            await collateralToken.connect(signer).approve(await masternodeContract.getAddress(), ethers.MaxUint256);
+        }
+
+        await masternodeContract.setHeartbeatWindow(HEARTBEAT_WINDOW);
+        await masternodeContract.setGovernance(admin.address, TIMELOCK_DELAY);
+        await masternodeContract.setCollateralToken(await collateralToken.getAddress());
+        await masternodeContract.assignLegacyAccounts(legacyAccounts);
+
+        return { masternodeContract, collateralToken, signers, legacyAccounts, admin };
+    }
+
+    async function createModel(masternodeContract, legacyAccounts, admin, Model) {
+        const model = new Model({
+            collateralAmount: await masternodeContract.COLLATERAL_AMOUNT(),
+            collateralAmountLegacy: await masternodeContract.COLLATERAL_AMOUNT_LEGACY(),
+            withdrawalDelay: await masternodeContract.WITHDRAWAL_DELAY(),
+            earlyWithdrawalPenalty: await masternodeContract.EARLY_WITHDRAWAL_PENALTY(),
+        });
+
+        model.setHeartbeatWindow({}, HEARTBEAT_WINDOW);
+        model.setGovernance({}, admin.address, TIMELOCK_DELAY);
+        model.setCollateralToken({}, await masternodeContract.collateralToken());
+        model.assignLegacyAccounts({}, legacyAccounts);
+
+        return model;
+    }
+
+    function collateralValue(model, address, kind) {
+        switch (kind) {
+            case "applicable":
+                return model.legacy(address) ? model.COLLATERAL_AMOUNT_LEGACY : model.COLLATERAL_AMOUNT;
+            case "regular":
+                return model.COLLATERAL_AMOUNT;
+            case "legacy":
+                return model.COLLATERAL_AMOUNT_LEGACY;
+            default:
+                return model.COLLATERAL_AMOUNT - 1n;
+        }
+    }
+
+    // Sends the transaction and returns what happened to it: the block it was mined in, the amount paid to the sender and the decoded revert, if any.
+    async function execute(masternodeContract, signer, method, args, value) {
+        const balanceBefore = await ethers.provider.getBalance(signer.address);
+
+        let receipt;
+        let revert;
+
+        try {
+            receipt = await (await masternodeContract.connect(signer)[method](...args, { value })).wait();
+        } catch (error) {
+            if (error.data === undefined || error.transactionHash === undefined) {
+                throw error;
+            }
+
+            const decoded = masternodeContract.interface.parseError(error.data);
+            revert = { name: decoded.name, args: [...decoded.args] };
+            receipt = await ethers.provider.getTransactionReceipt(error.transactionHash);
+        }
+
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
+        const balanceAfter = await ethers.provider.getBalance(signer.address);
+
+        return {
+            blockNumber: BigInt(receipt.blockNumber),
+            payout: balanceAfter - balanceBefore + gasCost + (revert === undefined ? value : 0n),
+            revert,
+        };
+    }
+
+    function check(failures, label, actual, expected) {
+        if (actual !== expected) {
+            failures.push(`${label}: contract ${actual}, model ${expected}`);
+        }
+    }
+
+    async function compareState(masternodeContract, collateralToken, model, addresses) {
+        const failures = [];
+        const blockNumber = BigInt(await ethers.provider.getBlockNumber());
+
+        check(failures, "balance", await ethers.provider.getBalance(await masternodeContract.getAddress()), model.balance);
+        check(failures, "tokenBalance", await collateralToken.balanceOf(await masternodeContract.getAddress()), model.tokenBalance);
+        check(failures, "initialized", await masternodeContract.initialized(), model.initialized);
+
+        for (const variable of ["totalDividends", "totalRegistrations", "totalCollateralAmount", "lastBalance", "withdrawingCollateralAmount", "masternodeCount", "heartbeatWindow", "tokenCollateralAmount",
+            "COLLATERAL_AMOUNT", "COLLATERAL_AMOUNT_LEGACY", "WITHDRAWAL_DELAY", "EARLY_WITHDRAWAL_PENALTY"]) {
+            check(failures, variable, await masternodeContract[variable](), model[variable]);
+        }
+
+        check(failures, "totalDividendsAt", await masternodeContract.totalDividendsAt(blockNumber), model.totalDividendsAt(blockNumber));
+        check(failures, "lockedCampaignAmount", await masternodeContract.lockedCampaignAmount(), model.lockedCampaignAmount(blockNumber));
+
+        for (let parameter = 0; parameter < 4; parameter++) {
+            const change = await masternodeContract.pendingParameterChanges(parameter);
+            const expected = model.pendingParameterChanges(parameter);
+
+            check(failures, `pendingParameterChanges(${parameter}).value`, change.value, expected.value);
+            check(failures, `pendingParameterChanges(${parameter}).executableBlock`, change.executableBlock, expected.executableBlock);
+        }
+
+        for (const address of addresses) {
+            const account = await masternodeContract.accounts(address);
+            const expected = model.accounts(address);
+
+            check(failures, `accounts(${address}).balance`, account.balance, expected.balance);
+            check(failures, `accounts(${address}).lastDividends`, account.lastDividends, expected.lastDividends);
+            check(failures, `accounts(${address}).lastClaimedBlock`, account.lastClaimedBlock, expected.lastClaimedBlock);
+            check(failures, `registrationStatus(${address})`, await masternodeContract.registrationStatus(address), model.registrationStatus(address));
+            check(failures, `legacy(${address})`, await masternodeContract.legacy(address), model.legacy(address));
+            check(failures, `collateral(${address})`, await masternodeContract.collateral(address), model.collateral(address));
+            check(failures, `tokenCollateral(${address})`, await masternodeContract.tokenCollateral(address), model.tokenCollateral(address));
+            check(failures, `withdrawalDelay(${address})`, await masternodeContract.withdrawalDelay(address), model.withdrawalDelay(address));
+            check(failures, `rewardRecipient(${address})`, await masternodeContract.rewardRecipient(address), model.rewardRecipient(address));
+            check(failures, `withdrawalAddress(${address})`, await masternodeContract.withdrawalAddress(address), model.withdrawalAddress(address));
+            check(failures, `lastHeartbeatBlock(${address})`, await masternodeContract.lastHeartbeatBlock(address), model.lastHeartbeatBlock(address));
+            check(failures, `inactive(${address})`, await masternodeContract.inactive(address), model.inactive(address));
+            check(failures, `pendingRegistrationTransfer(${address})`, await masternodeContract.pendingRegistrationTransfer(address), model.pendingRegistrationTransfer(address));
+            check(failures, `pendingRewards(${address})`, await masternodeContract.pendingRewards(address), model.pendingRewards(address, blockNumber));
+            check(failures, `rewardsEarnedAt(${address}, ${blockNumber})`, await masternodeContract.rewardsEarnedAt(address, blockNumber), model.rewardsEarnedAt(address, blockNumber));
+        }
+
+        return failures;
+    }
+
+    // Compares the reward history at the given past blocks.
+    async function compareHistory(masternodeContract, model, addresses, blockNumbers) {
+        const failures = [];
+
+        for (const blockNumber of blockNumbers) {
+            check(failures, `totalDividendsAt(${blockNumber})`, await masternodeContract.totalDividendsAt(blockNumber), model.totalDividendsAt(blockNumber));
+
+            for (const address of addresses) {
+                check(failures, `rewardsEarnedAt(${address}, ${blockNumber})`, await masternodeContract.rewardsEarnedAt(address, blockNumber), model.rewardsEarnedAt(address, blockNumber));
+            }
+        }
+
+        return failures;
+    }
+
+    async function compareRegistry(masternodeContract, model) {
+        const failures = [];
+        const blockNumber = BigInt(await ethers.provider.getBlockNumber());
+        const listed = [];
+        let cursor = 0n;
+
+        do {
+            const [entries, nextCursor] = await masternodeContract.getMasternodes(cursor, 4);
+
+            for (const entry of entries) {
+                listed.push(entry.account);
+
+                check(failures, `getMasternodes ${entry.account} status`, entry.status, model.registrationStatus(entry.account));
+                check(failures, `getMasternodes ${entry.account} inactive`, entry.inactive, model.inactive(entry.account));
+                check(failures, `getMasternodes ${entry.account} accruedBalance`, entry.accruedBalance, model.pendingRewards(entry.account, blockNumber));
+            }
+
+            cursor = nextCursor;
+        } while (cursor !== 0n);
+
+        check(failures, "getMasternodes", listed.join(","), model.masternodes.join(","));
+
+        return failures;
+    }
+
+    // Runs the sequence against a fresh contract and model. Returns undefined if they agree throughout,
+    // otherwise the index of the first diverging step and what diverged.
+    async function runSequence(sequence, Model = MasternodeModel) {
+        const { masternodeContract, collateralToken, signers, legacyAccounts, admin } = await loadFixture(deployFuzzFixture);
+        const contractAddress = await masternodeContract.getAddress();
+        const addresses = signers.map((signer) => signer.address);
+
+        const model = await createModel(masternodeContract, legacyAccounts, admin, Model);
+
+        // Blocks that transactions were mined in, for comparing the reward history at the end.
+        const blockNumbers = [];
+
+        const defaults = [
+            await masternodeContract.DEFAULT_COLLATERAL_AMOUNT(),
+            await masternodeContract.DEFAULT_COLLATERAL_AMOUNT_LEGACY(),
+            await masternodeContract.DEFAULT_WITHDRAWAL_DELAY(),
+            await masternodeContract.DEFAULT_EARLY_WITHDRAWAL_PENALTY(),
+        ];
+
+        for (let step = 0; step < sequence.length; step++) {
+            const { op, account, amount, blocks, value, target, parameter, factor, duration } = sequence[step];
+            const failures = [];
+
+            if (op === "reward") {
+                await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + amount);
+                model.receive(amount);
+            } else if (op === "mine") {
+                await mine(blocks);
+            } else {
+                // Parameter changes are proposed by the admin.
+                const signer = op === "proposeParameterChange" ? admin : signers[account];
+                let msgValue = 0n;
+
+                if (op === "register") {
+                    msgValue = collateralValue(model, signer.address, value);
+                } else if (op === "fundRewards") {
+                    msgValue = amount;
+                }
+
+                let args = [];
+
+                if (op === "markInactive") {
+                    args = [signers[target].address];
+                } else if (op === "startRegistrationTransfer") {
+                    args = [signer.address, signers[target].address];
+                } else if (op === "registerWithToken") {
+                    args = [signer.address, signer.address];
+                } else if (op === "acceptRegistrationTransfer" || op === "completeWithdrawalEarly") {
+                    args = [signers[target].address];
+                } else if (op === "proposeParameterChange") {
+                    args = [parameter, defaults[parameter] * BigInt(factor) / 2n];
+                } else if (op === "executeParameterChange") {
+                    args = [parameter];
+                } else if (op === "fundRewards") {
+                    args = [BigInt(duration)];
+                }
+
+                const result = await execute(masternodeContract, signer, op, args, msgValue);
+
+                blockNumbers.push(result.blockNumber);
+
+                let expectedPayout = 0n;
+                let expectedRevert;
+
+                try {
+                    expectedPayout = model[op]({ sender: signer.address, value: msgValue, blockNumber: result.blockNumber }, ...args);
+                } catch (error) {
+                    if (!(error instanceof ModelRevert)) {
+                        throw error;
+                    }
+
+                    expectedRevert = { name: error.errorName, args: error.errorArgs };
+                }
+
+                check(failures, "revert", stringify(result.revert), stringify(expectedRevert));
+                check(failures, "payout", result.payout, expectedPayout);
+            }
+
+            // The acting account and all globals are compared after every step, all accounts at the end.
+            const compared = step === sequence.length - 1 || account === undefined
+                ? addresses
+                : [...new Set([signers[account].address, signers[target ?? account].address])];
+
+            failures.push(...await compareState(masternodeContract, collateralToken, model, compared));
+
+            if (step === sequence.length - 1) {
+                failures.push(...await compareRegistry(masternodeContract, model));
+
+                // Every fifth transaction's block and the one before it, to keep the number of calls down.
+                const sampled = blockNumbers.filter((blockNumber, index) => index % 5 === 0).flatMap((blockNumber) => [blockNumber - 1n, blockNumber]);
+
+                failures.push(...await compareHistory(masternodeContract, model, addresses, sampled));
+            }
+
+            if (failures.length > 0) {
+                return { step, failures };
+            }
+        }
+
+        return undefined;
+    }
+
+    // Reduces a failing sequence by repeatedly dropping chunks of operations that are not needed to reproduce a divergence.
+    async function shrink(sequence, failure, Model) {
+        let current = sequence.slice(0, failure.step + 1);
+        let currentFailure = failure;
+        let chunk = Math.max(1, Math.floor(current.length / 2));
+
+        while (chunk >= 1) {
+            let reduced = false;
+
+            for (let start = 0; start < current.length; start += chunk) {
+                const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+
+                if (candidate.length === 0) {
+                    continue;
+                }
+
+                const candidateFailure = await runSequence(candidate, Model);
+
+                if (candidateFailure !== undefined) {
+                    current = candidate.slice(0, candidateFailure.step + 1);
+                    currentFailure = candidateFailure;
+                    reduced = true;
+                    start -= chunk;
+                }
+            }
+
+            if (!reduced) {
+                chunk = Math.floor(chunk / 2);
+            }
+        }
+
+        return { sequence: current, failure: currentFailure };
+    }
+
+    async function fuzz(seed, steps, Model = MasternodeModel) {
+        const sequence = generateSequence(seed, steps);
+        const failure = await runSequence(sequence, Model);
+
+        if (failure === undefined) {
+            return undefined;
+        }
+
+        return shrink(sequence, failure, Model);
+    }
+
+    describe("Reference model", function () {
+        for (let seed = FUZZ_SEED_OFFSET + 1; seed <= FUZZ_SEED_OFFSET + FUZZ_SEEDS; seed++) {
+            it(`Should agree with the contract over ${FUZZ_STEPS} random steps (seed ${seed})`, async function () {
+                const result = await fuzz(seed, FUZZ_STEPS);
+
+                if (result !== undefined) {
+                    expect.fail(
+                        `Contract and model diverge (seed ${seed}). Minimal sequence of ${result.sequence.length} steps:\n`
+                        + `${stringify(result.sequence)}\n`
+                        + result.failure.failures.join("\n"));
+                }
+            });
+        }
+    });
+
+    describe("Harness", function () {
+        it("Should exercise every operation, including reverting ones", async function () {
+            const sequence = generateSequence(1, FUZZ_STEPS);
+
+            for (const op of ["reward", "mine", "register", "registerWithToken", "claimRewards", "heartbeat", "markInactive", "startWithdrawal", "cancelWithdrawal",
+                "proposeParameterChange", "executeParameterChange", "startRegistrationTransfer", "acceptRegistrationTransfer", "fundRewards", "completeWithdrawal", "completeWithdrawalEarly"]) {
+                expect(sequence.some((step) => step.op === op), op).to.equal(true);
+            }
+
+            expect(sequence.some((step) => step.op === "register" && step.value === "wrong")).to.equal(true);
+            expect(sequence.some((step) => step.op === "mine" && step.blocks >= 100_800)).to.equal(true);
+            expect(sequence.some((step) => step.op === "mine" && step.blocks >= TIMELOCK_DELAY && step.blocks < 100_800 - 5)).to.equal(true);
+        });
+
+        it("Should detect and shrink a divergence", async function () {
+            // A model that still counts the whole amount as distributed, dropping the remainder of the division.
+            class RemainderDroppingModel extends MasternodeModel {
+                _distribute(registrationOffset, blockNumber) {
+                    const lastBalance = this.lastBalance;
+                    const amount = this.balance - this.lastBalance - this.totalCollateralAmount - this.withdrawingCollateralAmount - registrationOffset;
+
+                    super._distribute(registrationOffset, blockNumber);
+
+                    if (this.totalRegistrations > 0n) {
+                        this.lastBalance = lastBalance + amount;
+                    }
+                }
+            }
+
+            const result = await fuzz(1, 200, RemainderDroppingModel);
+
+            expect(result).not.to.equal(undefined);
+
+            // Two registrations, an amount that doesn't divide evenly and a claim are enough to show it.
+            expect(result.sequence.length).to.be.at.most(5);
+            expect(result.failure.failures.join("\n")).to.contain("lastBalance");
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ERROR_FRAGMENTS, decodeError } = require("../sdk");
+
+describe("Error decoder", function () {
+    async function deployErrorsFixture() {
+        const [owner, addr1, addr2, addrLegacy] = await ethers.getSigners();
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+        await masternodeContract.waitForDeployment();
+
+        for (const signer of [addr1, addr2, addrLegacy]) {
+            await setBalance(signer.address, ethers.parseEther("2000000"));
+        }
+
+        await masternodeContract.assignLegacyAccounts([addrLegacy.address]);
+
+        return { masternodeContract, owner, addr1, addr2, addrLegacy };
+    }
+
+    // Returns the error thrown by a transaction that is expected to revert.
+    async function revertOf(txPromise) {
+        try {
+            await (await txPromise).wait();
+        } catch (error) {
+            return error;
+        }
+
+        throw new Error("Transaction did not revert");
+    }
+
+    it("Should match the contract's custom errors", async function () {
+        const { masternodeContract } = await loadFixture(deployErrorsFixture);
+
+        // The contract's ABI also includes the errors of the OpenZeppelin libraries it uses, which are not decoded.
+        const signatures = (fragments) => fragments
+            .filter((fragment) => fragment.type === "error")
+            .map((fragment) => fragment.format("sighash"));
+
+        expect(signatures(masternodeContract.interface.fragments))
+            .to.include.members(signatures(ethers.Interface.from(ERROR_FRAGMENTS).fragments));
+    });
+
+    it("Should decode the expected and sent collateral", async function () {
+        const { masternodeContract, addr1, addrLegacy } = await loadFixture(deployErrorsFixture);
+
+        const decoded = decodeError(await revertOf(masternodeContract.connect(addr1).register({ value: ethers.parseEther("999999") })));
+
+        expect(decoded).to.deep.equal({
+            name: "IncorrectCollateralAmount",
+            args: { expected: ethers.parseEther("1000000"), sent: ethers.parseEther("999999"), legacy: false },
+            message: "Incorrect collateral amount: sent 999999.0 STRAX, expected 1000000.0 STRAX",
+        });
+
+        expect(decodeError(await revertOf(masternodeContract.connect(addrLegacy).register())).message)
+            .to.equal("Incorrect collateral amount for legacy node: sent 0.0 STRAX, expected 100000.0 STRAX");
+    });
+
+    it("Should decode the status and the blocks remaining", async function () {
+        const { masternodeContract, addr1, addr2 } = await loadFixture(deployErrorsFixture);
+
+        let decoded = decodeError(await revertOf(masternodeContract.connect(addr1).claimRewards()));
+
+        expect(decoded.name).to.equal("AccountNotRegistered");
+        expect(decoded.args).to.deep.equal({ account: addr1.address, status: 0n });
+        expect(decoded.message).to.equal("Account not registered (status UNREGISTERED)");
+
+        await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+        decoded = decodeError(await revertOf(masternodeContract.connect(addr1).completeWithdrawal()));
+
+        expect(decoded.message).to.equal("Account has not started the withdrawal process (status REGISTERED)");
+
+        await masternodeContract.connect(addr1).startWithdrawal();
+        await mine(800);
+
+        decoded = decodeError(await revertOf(masternodeContract.connect(addr1).completeWithdrawal()));
+
+        expect(decoded.args).to.deep.equal({ account: addr1.address, blocksRemaining: 100800n - 801n });
+        expect(decoded.message).to.equal("Withdrawal delay has not yet elapsed: 99999 blocks remaining");
+
+        decoded = decodeError(await revertOf(masternodeContract.connect(addr2).registerWithPayoutAddresses(ethers.ZeroAddress, addr2.address, { value: ethers.parseEther("1000000") })));
+
+        expect(decoded).to.deep.equal({ name: "InvalidPayoutAddress", args: {}, message: "Invalid payout address" });
+
+        decoded = decodeError(await revertOf(masternodeContract.connect(addr2).registerWithToken(addr2.address, addr2.address)));
+
+        expect(decoded).to.deep.equal({ name: "TokenCollateralNotEnabled", args: {}, message: "Token collateral is not enabled" });
+    });
+
+    it("Should decode the withdrawal address and the transfer address", async function () {
+        const { masternodeContract, addr1, addr2 } = await loadFixture(deployErrorsFixture);
+
+        await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+
+        let decoded = decodeError(await revertOf(masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr2.address)));
+
+        expect(decoded).to.deep.equal({
+            name: "NotWithdrawalAddress",
+            args: { masternode: addr1.address, withdrawalAddress: addr2.address },
+            message: `Caller is not the withdrawal address ${addr2.address}`,
+        });
+
+        decoded = decodeError(await revertOf(masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, addr1.address)));
+
+        expect(decoded).to.deep.equal({
+            name: "InvalidTransferAddress",
+            args: { newMasternode: addr1.address },
+            message: `Invalid transfer address ${addr1.address}`,
+        });
+    });
+
+    it("Should pass require() messages through and ignore unknown errors", async function () {
+        const { masternodeContract, addr1 } = await loadFixture(deployErrorsFixture);
+
+        const decoded = decodeError(await revertOf(masternodeContract.connect(addr1).setHeartbeatWindow(10)));
+
+        expect(decoded).to.deep.equal({
+            name: "Error",
+            args: { message: "Heartbeat window can only be set before initialization" },
+            message: "Heartbeat window can only be set before initialization",
+        });
+
+        expect(decodeError(ethers.id("SomethingElse()").slice(0, 10))).to.equal(undefined);
+        expect(decodeError(new Error("Network error"))).to.equal(undefined);
+    });
+});
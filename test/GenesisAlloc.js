@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { artifacts, ethers, run, stratis } = require("hardhat");
+const { loadFixture, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { readLegacyAccounts, buildGenesisAlloc, verifyGenesisAlloc } = require("../utils/genesis");
+
+const MASTERNODE_CONTRACT = "contracts/MasternodeStakingContract.sol:MasternodeStakingContract";
+
+describe("Genesis alloc", function () {
+    function writeTempFile(name, contents) {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "genesis-")), name);
+        fs.writeFileSync(file, contents);
+        return file;
+    }
+
+    async function allocFixture() {
+        const [addr1, addr2, addr3] = await ethers.getSigners();
+
+        const artifact = await artifacts.readArtifact(MASTERNODE_CONTRACT);
+        const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+        const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+        // A fresh address, so that the alloc is not confused with the contract the Stratis chain mode installs.
+        const address = "0x0000000000000000000000000000000000002002";
+        const legacyAccounts = [addr1.address, addr2.address];
+
+        const alloc = buildGenesisAlloc({ address, deployedBytecode: artifact.deployedBytecode, storageLayout, legacyAccounts });
+
+        return { artifact, address, alloc, legacyAccounts, addr3 };
+    }
+
+    describe("Legacy account list", function () {
+        it("Should read a CSV file with a header row", async function () {
+            const file = writeTempFile("legacy.csv", [
+                "address,label",
+                "0x70997970C51812dc3A010C7d01b50e0d17dc79C8,first",
+                "",
+                "# comments are ignored",
+                "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc,second",
+            ].join("\n"));
+
+            expect(readLegacyAccounts(file)).to.deep.equal([
+                "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+                "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+            ]);
+        });
+
+        it("Should read a JSON array and drop zero and duplicate addresses", async function () {
+            const file = writeTempFile("legacy.json", JSON.stringify([
+                "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+                ethers.ZeroAddress,
+                "0x70997970c51812dc3a010c7d01b50e0d17dc79c8",
+            ]));
+
+            expect(readLegacyAccounts(file)).to.deep.equal(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8"]);
+        });
+
+        it("Shouldn't accept an invalid address", async function () {
+            const file = writeTempFile("legacy.csv", "0x70997970C51812dc3A010C7d01b50e0d17dc79C8\n0x1234\n");
+
+            expect(() => readLegacyAccounts(file)).to.throw("invalid legacy address");
+        });
+    });
+
+    describe("Alloc entry", function () {
+        it("Should contain the runtime bytecode of the contract", async function () {
+            const { artifact, address, alloc } = await loadFixture(allocFixture);
+
+            expect(alloc[address].code).to.equal(artifact.deployedBytecode);
+            expect(alloc[address].balance).to.equal("0x0");
+        });
+
+        it("Should set the legacy flags and the initialized flag", async function () {
+            const { artifact, address, alloc, legacyAccounts, addr3 } = await loadFixture(allocFixture);
+
+            // One slot per legacy account plus the initialized flag.
+            expect(Object.keys(alloc[address].storage)).to.have.lengthOf(legacyAccounts.length + 1);
+
+            expect(await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts })).to.deep.equal([]);
+
+            // Verification must not leave the alloc behind.
+            expect(await ethers.provider.getCode(address)).to.equal("0x");
+
+            // Load it for real and check the resulting contract behaves as initialized.
+            for (const [slot, value] of Object.entries(alloc[address].storage)) {
+                await ethers.provider.send("hardhat_setStorageAt", [address, slot, value]);
+            }
+            await ethers.provider.send("hardhat_setCode", [address, alloc[address].code]);
+
+            const masternodeContract = await ethers.getContractAt("MasternodeStakingContract", address);
+
+            expect(await masternodeContract.legacy(legacyAccounts[0])).to.equal(true);
+            expect(await masternodeContract.legacy(legacyAccounts[1])).to.equal(true);
+            expect(await masternodeContract.legacy(addr3.address)).to.equal(false);
+
+            await expect(
+                masternodeContract.assignLegacyAccounts([addr3.address])
+                ).to.be.revertedWith("Legacy accounts can only be set once");
+
+            await setBalance(legacyAccounts[0], ethers.parseEther("5000000"));
+
+            await expect(
+                masternodeContract.connect(await ethers.getSigner(legacyAccounts[0])).register({ value: ethers.parseEther("100000") })
+                ).to.emit(masternodeContract, "Registration");
+        });
+
+        it("Should report accounts that were not assigned", async function () {
+            const { artifact, alloc, legacyAccounts, addr3 } = await loadFixture(allocFixture);
+
+            expect(
+                await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts: [...legacyAccounts, addr3.address] })
+                ).to.deep.equal([`legacy(${addr3.address}) returned false`]);
+        });
+
+        it("Should set the heartbeat window", async function () {
+            const { artifact, address, legacyAccounts } = await loadFixture(allocFixture);
+            const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+            const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+            const alloc = buildGenesisAlloc({ address, deployedBytecode: artifact.deployedBytecode, storageLayout, legacyAccounts, heartbeatWindow: 5400n });
+
+            expect(Object.keys(alloc[address].storage)).to.have.lengthOf(legacyAccounts.length + 2);
+
+            expect(await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts, heartbeatWindow: 5400n })).to.deep.equal([]);
+            expect(
+                await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts })
+                ).to.deep.equal(["heartbeatWindow() returned 5400, expected 0"]);
+        });
+
+        it("Should set the governance", async function () {
+            const { artifact, address, legacyAccounts } = await loadFixture(allocFixture);
+            const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+            const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+            const admin = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+            const alloc = buildGenesisAlloc({ address, deployedBytecode: artifact.deployedBytecode, storageLayout, legacyAccounts, admin, timelockDelay: 40320n });
+
+            expect(await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts, admin, timelockDelay: 40320n })).to.deep.equal([]);
+            expect(
+                await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts, timelockDelay: 40320n })
+                ).to.deep.equal([`admin() returned ${admin}, expected ${ethers.ZeroAddress}`]);
+        });
+
+        it("Should reject an admin without the minimum timelock delay", async function () {
+            const { artifact, address, legacyAccounts } = await loadFixture(allocFixture);
+            const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+            const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+            const admin = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+            const alloc = buildGenesisAlloc({ address, deployedBytecode: artifact.deployedBytecode, storageLayout, legacyAccounts, admin, timelockDelay: 5399n });
+
+            expect(
+                await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts, admin, timelockDelay: 5399n })
+                ).to.deep.equal(["timelockDelay() is below MIN_TIMELOCK_DELAY() of 5400 blocks"]);
+
+            const file = writeTempFile("legacy.json", JSON.stringify(legacyAccounts));
+
+            await expect(
+                run("genesis:alloc", { legacy: file, admin, balance: "0" })
+                ).to.be.rejectedWith("--timelock-delay is required with --admin");
+
+            await expect(
+                run("genesis:alloc", { legacy: file, admin, timelockDelay: 0, balance: "0" })
+                ).to.be.rejectedWith("timelockDelay() is below MIN_TIMELOCK_DELAY() of 5400 blocks");
+        });
+
+        it("Should set the collateral token", async function () {
+            const { artifact, address, legacyAccounts } = await loadFixture(allocFixture);
+            const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+            const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+            const collateralToken = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+
+            const alloc = buildGenesisAlloc({ address, deployedBytecode: artifact.deployedBytecode, storageLayout, legacyAccounts, collateralToken });
+
+            expect(await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts, collateralToken })).to.deep.equal([]);
+            expect(
+                await verifyGenesisAlloc(ethers.provider, artifact.abi, alloc, { legacyAccounts })
+                ).to.deep.equal([`collateralToken() returned ${collateralToken}, expected ${ethers.ZeroAddress}`]);
+        });
+
+        it("Should default to the Stratis masternode address in the task", async function () {
+            const file = writeTempFile("legacy.json", JSON.stringify(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8"]));
+            const output = path.join(path.dirname(file), "alloc.json");
+
+            await run("genesis:alloc", { legacy: file, output, balance: "0" });
+
+            const alloc = JSON.parse(fs.readFileSync(output, "utf8"));
+
+            expect(Object.keys(alloc)).to.deep.equal([stratis.address]);
+        });
+    });
+});
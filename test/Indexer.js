@@ -0,0 +1,453 @@
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildGenesisAlloc } = require("../utils/genesis");
+const { RegistrationStatus, indexEvents } = require("../utils/indexer");
+
+const MASTERNODE_CONTRACT = "contracts/MasternodeStakingContract.sol:MasternodeStakingContract";
+
+describe("Event indexer", function () {
+    // Small deterministic PRNG so that failing sequences can be reproduced from their seed.
+    function random(seed) {
+        let state = seed >>> 0;
+
+        return function (n) {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return (((t ^ (t >>> 14)) >>> 0) % n);
+        };
+    }
+
+    async function deployIndexerFixture() {
+        const signers = (await ethers.getSigners()).slice(0, 6);
+        const legacyAccounts = signers.slice(4);
+        const admin = (await ethers.getSigners())[6];
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+        const collateralToken = await ethers.deployContract("WrappedStraxMock");
+
+        await masternodeContract.waitForDeployment();
+
+        for (const signer of signers) {
+            await setBalance(signer.address, ethers.parseEther("5000000"));
+            await collateralToken.connect(signer).deposit({ value: ethers.parseEther("2000000") });
+            await collateralToken.connect(signer).approve(await masternodeContract.getAddress(), ethers.MaxUint256);
+        }
+
+        await masternodeContract.setHeartbeatWindow(20);
+        await masternodeContract.setGovernance(admin.address, await masternodeContract.MIN_TIMELOCK_DELAY());
+        await masternodeContract.setCollateralToken(await collateralToken.getAddress());
+        await masternodeContract.assignLegacyAccounts(legacyAccounts);
+
+        return { masternodeContract, signers, legacyAccounts, admin };
+    }
+
+    // The same setup, but installed from a genesis alloc, so that the legacy accounts and settings have no events.
+    async function deployGenesisAllocFixture() {
+        const signers = (await ethers.getSigners()).slice(0, 6);
+        const legacyAccounts = signers.slice(4);
+        const admin = (await ethers.getSigners())[6];
+
+        const collateralToken = await ethers.deployContract("WrappedStraxMock");
+
+        const artifact = await artifacts.readArtifact(MASTERNODE_CONTRACT);
+        const buildInfo = await artifacts.getBuildInfo(MASTERNODE_CONTRACT);
+        const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+        // A fresh address, so that the contract is not confused with the one the Stratis chain mode installs.
+        const address = "0x0000000000000000000000000000000000002003";
+
+        const alloc = buildGenesisAlloc({
+            address,
+            deployedBytecode: artifact.deployedBytecode,
+            storageLayout,
+            legacyAccounts: legacyAccounts.map((signer) => signer.address),
+            heartbeatWindow: 20n,
+            admin: admin.address,
+            timelockDelay: 5400n,
+            collateralToken: await collateralToken.getAddress(),
+        });
+
+        for (const [slot, value] of Object.entries(alloc[address].storage)) {
+            await ethers.provider.send("hardhat_setStorageAt", [address, slot, value]);
+        }
+        await ethers.provider.send("hardhat_setCode", [address, alloc[address].code]);
+
+        const masternodeContract = await ethers.getContractAt("MasternodeStakingContract", address);
+
+        for (const signer of signers) {
+            await setBalance(signer.address, ethers.parseEther("5000000"));
+            await collateralToken.connect(signer).deposit({ value: ethers.parseEther("2000000") });
+            await collateralToken.connect(signer).approve(address, ethers.MaxUint256);
+        }
+
+        return { masternodeContract, signers, legacyAccounts, admin };
+    }
+
+    async function addRewards(masternodeContract, amount) {
+        const address = await masternodeContract.getAddress();
+
+        await setBalance(address, (await ethers.provider.getBalance(address)) + amount);
+    }
+
+    // Returns the amount the transaction paid to the signer, which is its own reward recipient. Campaign funds are released
+    // with every block, so pendingRewards() before the transaction can't predict this.
+    async function paidOut(signer, txPromise) {
+        const balanceBefore = await ethers.provider.getBalance(signer.address);
+        const receipt = await (await txPromise).wait();
+
+        return await ethers.provider.getBalance(signer.address) - balanceBefore + receipt.gasUsed * receipt.gasPrice;
+    }
+
+    async function runRandomSequence(masternodeContract, signers, admin, seed, steps) {
+        const next = random(seed);
+        const claimed = new Map(signers.map((signer) => [signer.address, 0n]));
+
+        for (let step = 0; step < steps; step++) {
+            const signer = signers[next(signers.length)];
+            const contract = masternodeContract.connect(signer);
+            const status = await masternodeContract.registrationStatus(signer.address);
+
+            switch (next(8)) {
+                case 0:
+                    await addRewards(masternodeContract, BigInt(next(100_000) + 1) * 10n ** 15n + BigInt(next(1000)));
+                    break;
+
+                case 1:
+                    if (status === RegistrationStatus.UNREGISTERED) {
+                        const collateral = (await masternodeContract.legacy(signer.address))
+                            ? await masternodeContract.COLLATERAL_AMOUNT_LEGACY()
+                            : await masternodeContract.COLLATERAL_AMOUNT();
+
+                        if (next(3) === 0) {
+                            await contract.registerWithToken(signer.address, signer.address);
+                        } else {
+                            await contract.register({ value: collateral });
+                        }
+                    } else if (status === RegistrationStatus.WITHDRAWING) {
+                        const choice = next(3);
+
+                        if (choice === 0) {
+                            await contract.cancelWithdrawal();
+                        } else if (choice === 1 && !await masternodeContract.tokenCollateral(signer.address)) {
+                            await contract.completeWithdrawalEarly(signer.address);
+                        } else {
+                            await mine(await masternodeContract.withdrawalDelay(signer.address));
+                            await contract.completeWithdrawal();
+                        }
+                    }
+                    break;
+
+                case 2:
+                    if (status === RegistrationStatus.REGISTERED) {
+                        claimed.set(signer.address, claimed.get(signer.address) + await paidOut(signer, contract.claimRewards()));
+                    }
+                    break;
+
+                case 3:
+                    if (status === RegistrationStatus.REGISTERED) {
+                        claimed.set(signer.address, claimed.get(signer.address) + await paidOut(signer, contract.startWithdrawal()));
+                    }
+                    break;
+
+                case 4:
+                    if (status === RegistrationStatus.REGISTERED && next(2) === 0) {
+                        await contract.heartbeat();
+                    } else {
+                        await mine(next(15) + 1);
+
+                        const target = signers[next(signers.length)].address;
+                        const lastHeartbeatBlock = await masternodeContract.lastHeartbeatBlock(target);
+
+                        if ((await masternodeContract.registrationStatus(target)) === RegistrationStatus.REGISTERED
+                            && !await masternodeContract.inactive(target)
+                            && BigInt(await ethers.provider.getBlockNumber()) + 1n - lastHeartbeatBlock > 20n) {
+                            await contract.markInactive(target);
+                        }
+                    }
+                    break;
+
+                case 5: {
+                    // Sets a parameter to half, once or one and a half times its default, or waives the penalty.
+                    const parameter = next(4);
+                    const defaultValue = [
+                        await masternodeContract.DEFAULT_COLLATERAL_AMOUNT(),
+                        await masternodeContract.DEFAULT_COLLATERAL_AMOUNT_LEGACY(),
+                        await masternodeContract.DEFAULT_WITHDRAWAL_DELAY(),
+                        await masternodeContract.DEFAULT_EARLY_WITHDRAWAL_PENALTY(),
+                    ][parameter];
+                    const value = defaultValue * BigInt(next(3) + (parameter === 3 ? 0 : 1)) / 2n;
+
+                    await masternodeContract.connect(admin).proposeParameterChange(parameter, value);
+                    await mine(await masternodeContract.timelockDelay());
+                    await masternodeContract.executeParameterChange(parameter);
+                    break;
+                }
+
+                case 6: {
+                    const target = signers[next(signers.length)];
+
+                    if (status !== RegistrationStatus.UNREGISTERED
+                        && target !== signer
+                        && (await masternodeContract.registrationStatus(target.address)) === RegistrationStatus.UNREGISTERED) {
+                        await contract.startRegistrationTransfer(signer.address, target.address);
+                        await masternodeContract.connect(target).acceptRegistrationTransfer(signer.address);
+                    }
+                    break;
+                }
+
+                case 7:
+                    await contract.fundRewards(next(30) + 1, { value: ethers.parseEther("1000") * BigInt(next(3) + 1) });
+                    break;
+            }
+        }
+
+        return claimed;
+    }
+
+    async function expectIndexedStateToMatch(masternodeContract, signers, claimed, legacyAccounts = []) {
+        const state = await indexEvents(masternodeContract, { legacyAccounts });
+
+        expect(state.totalRegistrations).to.equal(await masternodeContract.totalRegistrations());
+        expect(state.totalDividends).to.equal(await masternodeContract.totalDividends());
+        expect(state.totalCollateralAmount).to.equal(await masternodeContract.totalCollateralAmount());
+        expect(state.withdrawingCollateralAmount).to.equal(await masternodeContract.withdrawingCollateralAmount());
+        expect(state.tokenCollateralAmount).to.equal(await masternodeContract.tokenCollateralAmount());
+        expect(state.lastBalance).to.equal(await masternodeContract.lastBalance());
+        expect(state.collateralAmount).to.equal(await masternodeContract.COLLATERAL_AMOUNT());
+        expect(state.collateralAmountLegacy).to.equal(await masternodeContract.COLLATERAL_AMOUNT_LEGACY());
+        expect(state.withdrawalDelay).to.equal(await masternodeContract.WITHDRAWAL_DELAY());
+        expect(state.earlyWithdrawalPenalty).to.equal(await masternodeContract.EARLY_WITHDRAWAL_PENALTY());
+
+        for (const [id, campaign] of state.campaigns) {
+            const { funder, amount, startBlock, endBlock } = await masternodeContract.campaigns(id);
+
+            expect({ funder, amount, startBlock, endBlock }).to.deep.equal({
+                funder: campaign.funder,
+                amount: campaign.amount,
+                startBlock: campaign.startBlock,
+                endBlock: campaign.endBlock,
+            });
+        }
+
+        let totalClaimed = 0n;
+
+        for (const signer of signers) {
+            const account = state.accounts.get(signer.address);
+            const status = await masternodeContract.registrationStatus(signer.address);
+
+            expect(account?.status ?? RegistrationStatus.UNREGISTERED).to.equal(status);
+            expect(account?.legacy ?? false).to.equal(await masternodeContract.legacy(signer.address));
+            expect(account?.collateral ?? 0n).to.equal(await masternodeContract.collateral(signer.address));
+            expect(account?.tokenCollateral ?? false).to.equal(await masternodeContract.tokenCollateral(signer.address));
+            expect(account?.withdrawalDelay ?? 0n).to.equal(await masternodeContract.withdrawalDelay(signer.address));
+            expect(account?.inactive ?? false).to.equal(await masternodeContract.inactive(signer.address));
+            expect(BigInt(account?.lastHeartbeatBlock ?? 0)).to.equal(await masternodeContract.lastHeartbeatBlock(signer.address));
+            expect(account?.totalClaimed ?? 0n).to.equal(claimed.get(signer.address));
+            expect(account?.rewardRecipient ?? ethers.ZeroAddress).to.equal(await masternodeContract.rewardRecipient(signer.address));
+            expect(account?.withdrawalAddress ?? ethers.ZeroAddress).to.equal(await masternodeContract.withdrawalAddress(signer.address));
+
+            if (status === RegistrationStatus.WITHDRAWING) {
+                // startWithdrawal() claims first, so the last claimed block is the block the withdrawal started in.
+                expect(account.withdrawalStartBlock).to.equal((await masternodeContract.accounts(signer.address)).lastClaimedBlock);
+            } else {
+                expect(account?.withdrawalStartBlock).to.equal(undefined);
+            }
+
+            totalClaimed += claimed.get(signer.address);
+        }
+
+        expect(state.totalClaimed).to.equal(totalClaimed);
+    }
+
+    describe("Events", function () {
+        it("Should emit an event for each legacy account assigned", async function () {
+            const [, , , , addrLegacy1, addrLegacy2] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            const tx = masternodeContract.assignLegacyAccounts([addrLegacy1, ethers.ZeroAddress, addrLegacy2, addrLegacy1]);
+
+            await expect(tx).to.emit(masternodeContract, "LegacyAccountAssigned").withArgs(addrLegacy1.address);
+            await expect(tx).to.emit(masternodeContract, "LegacyAccountAssigned").withArgs(addrLegacy2.address);
+
+            const receipt = await (await tx).wait();
+
+            // Zero and duplicate addresses are skipped.
+            expect(receipt.logs).to.have.lengthOf(2);
+        });
+
+        it("Should emit the distributed dividends and the claimed amount", async function () {
+            const { masternodeContract, signers } = await loadFixture(deployIndexerFixture);
+            const [addr1, addr2] = signers;
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(masternodeContract, ethers.parseEther("50"));
+
+            const tx = masternodeContract.connect(addr1).claimRewards();
+
+            await expect(tx).to.emit(masternodeContract, "DividendsDistributed")
+                .withArgs(ethers.parseEther("50"), 2, ethers.parseEther("25"));
+
+            await expect(tx).to.emit(masternodeContract, "RewardsClaimed")
+                .withArgs(addr1.address, ethers.parseEther("25"));
+        });
+
+        it("Shouldn't emit claim or distribution events when there is nothing to pay", async function () {
+            const { masternodeContract, signers } = await loadFixture(deployIndexerFixture);
+            const [addr1] = signers;
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const tx = masternodeContract.connect(addr1).claimRewards();
+
+            await expect(tx).not.to.emit(masternodeContract, "DividendsDistributed");
+            await expect(tx).not.to.emit(masternodeContract, "RewardsClaimed");
+        });
+
+        it("Should emit the returned collateral when completing a withdrawal", async function () {
+            const { masternodeContract, legacyAccounts } = await loadFixture(deployIndexerFixture);
+            const [addrLegacy] = legacyAccounts;
+
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+            await masternodeContract.connect(addrLegacy).startWithdrawal();
+
+            await mine(100800);
+
+            await expect(
+                masternodeContract.connect(addrLegacy).completeWithdrawal()
+                ).to.emit(masternodeContract, "WithdrawalCompleted")
+                .withArgs(addrLegacy.address, ethers.parseEther("100000"));
+        });
+
+        it("Should emit the released collateral and the penalty of an early withdrawal", async function () {
+            const { masternodeContract, signers } = await loadFixture(deployIndexerFixture);
+            const [addr1, addr2] = signers;
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            const tx = masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address);
+
+            await expect(tx).to.emit(masternodeContract, "WithdrawalCompleted")
+                .withArgs(addr1.address, ethers.parseEther("1000000"));
+
+            await expect(tx).to.emit(masternodeContract, "EarlyWithdrawal")
+                .withArgs(addr1.address, ethers.parseEther("100000"));
+
+            await expect(tx).to.emit(masternodeContract, "DividendsDistributed")
+                .withArgs(ethers.parseEther("100000"), 1, ethers.parseEther("100000"));
+
+            const state = await indexEvents(masternodeContract);
+
+            expect(state.accounts.get(addr1.address).totalPenalties).to.equal(ethers.parseEther("100000"));
+            expect(state.totalPenalties).to.equal(ethers.parseEther("100000"));
+            expect(state.withdrawingCollateralAmount).to.equal(0);
+            expect(state.lastBalance).to.equal(await masternodeContract.lastBalance());
+        });
+        it("Should emit the collateral posted in the token", async function () {
+            const { masternodeContract, signers } = await loadFixture(deployIndexerFixture);
+            const [addr1] = signers;
+
+            const tx = masternodeContract.connect(addr1).registerWithToken(addr1.address, addr1.address);
+
+            await expect(tx).to.emit(masternodeContract, "Registration").withArgs(addr1.address);
+            await expect(tx).to.emit(masternodeContract, "CollateralPosted").withArgs(addr1.address, ethers.parseEther("1000000"), false);
+            await expect(tx).to.emit(masternodeContract, "TokenCollateralPosted")
+                .withArgs(addr1.address, await masternodeContract.collateralToken(), ethers.parseEther("1000000"));
+
+            const state = await indexEvents(masternodeContract);
+
+            expect(state.accounts.get(addr1.address).tokenCollateral).to.equal(true);
+            expect(state.totalCollateralAmount).to.equal(0);
+            expect(state.tokenCollateralAmount).to.equal(ethers.parseEther("1000000"));
+        });
+    });
+
+    describe("State reconstruction", function () {
+        for (const seed of [1, 2, 3, 4]) {
+            it(`Should match the contract getters after random operations (seed ${seed})`, async function () {
+                const { masternodeContract, signers, admin } = await loadFixture(deployIndexerFixture);
+
+                const claimed = await runRandomSequence(masternodeContract, signers, admin, seed, 60);
+
+                await expectIndexedStateToMatch(masternodeContract, signers, claimed);
+            });
+        }
+
+        it("Should continue indexing incrementally from a previous state", async function () {
+            const { masternodeContract, signers, admin } = await loadFixture(deployIndexerFixture);
+
+            const claimed = await runRandomSequence(masternodeContract, signers, admin, 5, 30);
+
+            const state = await indexEvents(masternodeContract);
+            const moreClaimed = await runRandomSequence(masternodeContract, signers, admin, 6, 30);
+
+            await indexEvents(masternodeContract, { fromBlock: state.lastBlock + 1, state });
+
+            for (const signer of signers) {
+                claimed.set(signer.address, claimed.get(signer.address) + moreClaimed.get(signer.address));
+            }
+
+            const fullState = await indexEvents(masternodeContract);
+
+            expect(state.totalDividends).to.equal(fullState.totalDividends);
+            expect(state.lastBalance).to.equal(fullState.lastBalance);
+            expect(state.totalClaimed).to.equal(fullState.totalClaimed);
+
+            await expectIndexedStateToMatch(masternodeContract, signers, claimed);
+        });
+
+        it("Should replace the legacy flag of an account that accepts a registration transfer", async function () {
+            const { masternodeContract, signers, legacyAccounts } = await loadFixture(deployIndexerFixture);
+            const [addr1] = signers;
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, legacyAccounts[0].address);
+            await masternodeContract.connect(legacyAccounts[0]).acceptRegistrationTransfer(addr1.address);
+
+            const state = await indexEvents(masternodeContract);
+
+            expect(state.accounts.get(legacyAccounts[0].address).legacy).to.equal(false);
+
+            await expectIndexedStateToMatch(masternodeContract, signers, new Map(signers.map((signer) => [signer.address, 0n])));
+        });
+
+        it("Should match the contract getters for a contract installed from a genesis alloc", async function () {
+            const { masternodeContract, signers, legacyAccounts, admin } = await loadFixture(deployGenesisAllocFixture);
+            const [legacy1, legacy2] = legacyAccounts;
+            const legacyAddresses = legacyAccounts.map((signer) => signer.address);
+
+            // Without the genesis list, a legacy account only becomes known to the indexer when it registers, which reports the legacy collateral.
+            await masternodeContract.connect(legacy1).registerWithToken(legacy1.address, legacy1.address);
+
+            let state = await indexEvents(masternodeContract);
+
+            expect(state.accounts.get(legacy1.address).legacy).to.equal(true);
+            expect(state.accounts.get(legacy1.address).collateral).to.equal(ethers.parseEther("100000"));
+            expect(state.tokenCollateralAmount).to.equal(ethers.parseEther("100000"));
+            expect(state.accounts.get(legacy2.address)).to.equal(undefined);
+
+            // Seeded with the list, the unregistered legacy account matches as well.
+            state = await indexEvents(masternodeContract, { legacyAccounts: legacyAddresses });
+
+            expect(state.accounts.get(legacy2.address).legacy).to.equal(true);
+            expect(state.accounts.get(legacy2.address).status).to.equal(RegistrationStatus.UNREGISTERED);
+
+            await expectIndexedStateToMatch(masternodeContract, signers, new Map(signers.map((signer) => [signer.address, 0n])), legacyAddresses);
+
+            const claimed = await runRandomSequence(masternodeContract, signers, admin, 7, 60);
+
+            await expectIndexedStateToMatch(masternodeContract, signers, claimed, legacyAddresses);
+        });
+    });
+});
@@ -0,0 +1,495 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Masternode pool", function () {
+    async function deployPoolFixture() {
+        const [operator, addr1, addr2, addr3, admin] = await ethers.getSigners();
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+        const stakingAddress = await masternodeContract.getAddress();
+
+        setBalance(addr1.address, ethers.parseEther("5000000"));
+        setBalance(addr2.address, ethers.parseEther("5000000"));
+        setBalance(addr3.address, ethers.parseEther("5000000"));
+
+        await masternodeContract.setGovernance(admin.address, await masternodeContract.MIN_TIMELOCK_DELAY());
+        await masternodeContract.setHeartbeatWindow(1000);
+        await masternodeContract.assignLegacyAccounts([]);
+
+        // 10% operator fee.
+        const pool = await ethers.deployContract("MasternodePool", [stakingAddress, 1000]);
+        const poolAddress = await pool.getAddress();
+
+        return { masternodeContract, stakingAddress, pool, poolAddress, operator, addr1, addr2, addr3, admin };
+    }
+
+    async function registeredPoolFixture() {
+        const fixture = await deployPoolFixture();
+        const { pool, addr2, addr3 } = fixture;
+
+        await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+        await pool.connect(addr3).deposit({ value: ethers.parseEther("400000") });
+
+        return fixture;
+    }
+
+    async function addRewards(stakingAddress, amount) {
+        await setBalance(stakingAddress, (await ethers.provider.getBalance(stakingAddress)) + amount);
+    }
+
+    describe("Deployment", function () {
+        it("Should require the regular collateral amount", async function () {
+            const { pool, operator, stakingAddress } = await loadFixture(deployPoolFixture);
+
+            expect(await pool.requiredCollateral()).to.equal(ethers.parseEther("1000000"));
+            expect(await pool.collateralAmount()).to.equal(0);
+            expect(await pool.operator()).to.equal(operator.address);
+            expect(await pool.stakingContract()).to.equal(stakingAddress);
+            expect(await pool.status()).to.equal(0);
+        });
+
+        it("Shouldn't accept an operator fee above 100%", async function () {
+            const { stakingAddress } = await loadFixture(deployPoolFixture);
+
+            await expect(
+                ethers.deployContract("MasternodePool", [stakingAddress, 10001])
+                ).to.be.revertedWith("Operator fee too high");
+        });
+    });
+
+    describe("Deposits", function () {
+        it("Shouldn't register before the collateral is complete", async function () {
+            const { masternodeContract, pool, poolAddress, addr2 } = await loadFixture(deployPoolFixture);
+
+            await expect(
+                pool.connect(addr2).deposit({ value: ethers.parseEther("600000") })
+                ).to.emit(pool, "Deposit")
+                .withArgs(addr2.address, ethers.parseEther("600000"));
+
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("600000"));
+            expect(await pool.deposits(addr2.address)).to.equal(ethers.parseEther("600000"));
+            expect(await masternodeContract.registrationStatus(poolAddress)).to.equal(0);
+        });
+
+        it("Shouldn't accept more than the remaining collateral", async function () {
+            const { pool, addr2, addr3 } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+
+            await expect(
+                pool.connect(addr3).deposit({ value: ethers.parseEther("400001") })
+                ).to.be.revertedWith("Deposit exceeds remaining collateral");
+
+            await expect(
+                pool.connect(addr3).deposit()
+                ).to.be.revertedWith("Deposit amount must be positive");
+        });
+
+        it("Should register the pool once the collateral is complete", async function () {
+            const { masternodeContract, pool, poolAddress, addr2, addr3 } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+
+            const tx = pool.connect(addr3).deposit({ value: ethers.parseEther("400000") });
+
+            await expect(tx).to.emit(pool, "PoolRegistered")
+                .withArgs(ethers.parseEther("1000000"));
+            await expect(tx).to.emit(masternodeContract, "Registration")
+                .withArgs(poolAddress);
+            await expect(tx).to.changeEtherBalances([addr3, pool, masternodeContract], [-ethers.parseEther("400000"), -ethers.parseEther("600000"), ethers.parseEther("1000000")]);
+
+            expect(await pool.status()).to.equal(1);
+            expect(await masternodeContract.registrationStatus(poolAddress)).to.equal(1);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            await expect(
+                pool.connect(addr3).deposit({ value: 1 })
+                ).to.be.revertedWith("Pool is not open");
+        });
+
+        it("Should follow a change of the collateral amount until it registers", async function () {
+            const { masternodeContract, stakingAddress, pool, poolAddress, operator, addr2, addr3, admin } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("300000") });
+
+            await masternodeContract.connect(admin).proposeParameterChange(0, ethers.parseEther("500000"));
+            await mine(await masternodeContract.timelockDelay());
+            await masternodeContract.executeParameterChange(0);
+
+            expect(await pool.requiredCollateral()).to.equal(ethers.parseEther("500000"));
+
+            await pool.connect(addr3).deposit({ value: ethers.parseEther("200000") });
+
+            expect(await pool.collateralAmount()).to.equal(ethers.parseEther("500000"));
+            expect(await masternodeContract.collateral(poolAddress)).to.equal(ethers.parseEther("500000"));
+
+            // Later changes don't affect the shares of a registered pool.
+            await masternodeContract.connect(admin).proposeParameterChange(0, ethers.parseEther("1000000"));
+            await mine(await masternodeContract.timelockDelay());
+            await masternodeContract.executeParameterChange(0);
+
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+            await pool.connect(operator).claimRewards();
+
+            expect(await pool.rewardsOwing(addr2.address)).to.equal(ethers.parseEther("54"));
+            expect(await pool.rewardsOwing(addr3.address)).to.equal(ethers.parseEther("36"));
+        });
+
+        it("Should register and refund the excess once the collateral amount drops below the deposits", async function () {
+            const { masternodeContract, stakingAddress, pool, poolAddress, operator, addr1, addr2, addr3, admin } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+            await pool.connect(addr3).deposit({ value: ethers.parseEther("200000") });
+
+            await masternodeContract.connect(admin).proposeParameterChange(0, ethers.parseEther("500000"));
+            await mine(await masternodeContract.timelockDelay());
+            await masternodeContract.executeParameterChange(0);
+
+            await expect(
+                pool.connect(addr1).deposit({ value: 1 })
+                ).to.be.revertedWith("Deposit exceeds remaining collateral");
+
+            await expect(
+                pool.connect(addr1).register()
+                ).to.emit(pool, "PoolRegistered")
+                .withArgs(ethers.parseEther("500000"));
+
+            expect(await pool.status()).to.equal(1);
+            expect(await pool.registeredDeposits()).to.equal(ethers.parseEther("800000"));
+            expect(await masternodeContract.collateral(poolAddress)).to.equal(ethers.parseEther("500000"));
+
+            await expect(
+                pool.connect(addr1).register()
+                ).to.be.revertedWith("Pool is not open");
+
+            // Each contributor gets back the same fraction of their deposit.
+            expect(await pool.excessDeposit(addr2.address)).to.equal(ethers.parseEther("225000"));
+            expect(await pool.excessDeposit(addr3.address)).to.equal(ethers.parseEther("75000"));
+
+            const tx = pool.connect(addr2).withdrawExcessDeposit();
+
+            await expect(tx).to.emit(pool, "ExcessDepositWithdrawn")
+                .withArgs(addr2.address, ethers.parseEther("225000"));
+            await expect(tx).to.changeEtherBalance(addr2, ethers.parseEther("225000"));
+
+            await expect(
+                pool.connect(addr2).withdrawExcessDeposit()
+                ).to.be.revertedWith("No excess deposit");
+
+            // Rewards are still split in proportion to the deposits.
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+            await pool.connect(operator).claimRewards();
+
+            expect(await pool.rewardsOwing(addr2.address)).to.equal(ethers.parseEther("67.5"));
+            expect(await pool.rewardsOwing(addr3.address)).to.equal(ethers.parseEther("22.5"));
+
+            await pool.connect(operator).startWithdrawal();
+            await mine(100800);
+            await pool.completeWithdrawal();
+
+            // addr3 never withdrew their excess, so it is returned along with the registered part of the deposit.
+            await expect(
+                pool.connect(addr2).withdrawCollateral()
+                ).to.emit(pool, "CollateralWithdrawn")
+                .withArgs(addr2.address, ethers.parseEther("375000"));
+
+            await expect(
+                pool.connect(addr3).withdrawCollateral()
+                ).to.emit(pool, "CollateralWithdrawn")
+                .withArgs(addr3.address, ethers.parseEther("200000"));
+
+            // Only the operator fee is left.
+            expect(await ethers.provider.getBalance(poolAddress)).to.equal(await pool.operatorBalance());
+        });
+
+        it("Shouldn't register before the deposits cover the collateral", async function () {
+            const { pool, addr2 } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+
+            await expect(
+                pool.connect(addr2).register()
+                ).to.be.revertedWith("Collateral not complete");
+        });
+
+        it("Should return deposits while the pool is open", async function () {
+            const { pool, addr2, addr3 } = await loadFixture(deployPoolFixture);
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+
+            await expect(
+                pool.connect(addr2).withdrawDeposit()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("600000"));
+
+            expect(await pool.totalDeposits()).to.equal(0);
+
+            await expect(
+                pool.connect(addr2).withdrawDeposit()
+                ).to.be.revertedWith("No deposit");
+
+            await pool.connect(addr2).deposit({ value: ethers.parseEther("600000") });
+            await pool.connect(addr3).deposit({ value: ethers.parseEther("400000") });
+
+            await expect(
+                pool.connect(addr2).withdrawDeposit()
+                ).to.be.revertedWith("Pool is not open");
+        });
+
+        it("Shouldn't accept plain transfers", async function () {
+            const { poolAddress, addr2 } = await loadFixture(deployPoolFixture);
+
+            await expect(
+                addr2.sendTransaction({ to: poolAddress, value: 1 })
+                ).to.be.revertedWith("Use deposit() to contribute");
+        });
+    });
+
+    describe("Rewards", function () {
+        it("Should split rewards pro rata after the operator fee", async function () {
+            const { pool, stakingAddress, operator, addr2, addr3 } = await loadFixture(registeredPoolFixture);
+
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+
+            await expect(
+                pool.connect(addr3).claimRewards()
+                ).to.emit(pool, "RewardsCollected")
+                .withArgs(ethers.parseEther("100"), ethers.parseEther("10"));
+
+            expect(await pool.operatorBalance()).to.equal(ethers.parseEther("10"));
+            expect(await pool.rewardsOwing(addr2.address)).to.equal(ethers.parseEther("54"));
+            expect(await pool.rewardsOwing(addr3.address)).to.equal(ethers.parseEther("36"));
+
+            await expect(
+                pool.connect(addr2).withdrawRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("54"));
+
+            await expect(
+                pool.connect(addr2).withdrawRewards()
+                ).to.be.revertedWith("No rewards owing");
+
+            await expect(
+                pool.connect(addr2).withdrawOperatorFee()
+                ).to.be.revertedWith("Caller is not the operator");
+
+            await expect(
+                pool.connect(operator).withdrawOperatorFee()
+                ).to.changeEtherBalance(operator, ethers.parseEther("10"));
+
+            // Later rewards add to what has not been withdrawn yet.
+            await addRewards(stakingAddress, ethers.parseEther("50"));
+            await pool.claimRewards();
+
+            expect(await pool.rewardsOwing(addr2.address)).to.equal(ethers.parseEther("27"));
+            expect(await pool.rewardsOwing(addr3.address)).to.equal(ethers.parseEther("54"));
+        });
+
+        it("Should share rewards with other masternodes like a single registration", async function () {
+            const { masternodeContract, pool, stakingAddress, addr1 } = await loadFixture(registeredPoolFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+
+            await expect(
+                pool.claimRewards()
+                ).to.changeEtherBalances([pool, masternodeContract], [ethers.parseEther("50"), -ethers.parseEther("50")]);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("50"));
+        });
+
+        it("Shouldn't claim before the pool is registered", async function () {
+            const { pool } = await loadFixture(deployPoolFixture);
+
+            await expect(
+                pool.claimRewards()
+                ).to.be.revertedWith("Pool not registered");
+        });
+
+        it("Should let the operator send heartbeats", async function () {
+            const { masternodeContract, pool, poolAddress, operator, addr2 } = await loadFixture(registeredPoolFixture);
+
+            await expect(
+                pool.connect(addr2).heartbeat()
+                ).to.be.revertedWith("Caller is not the operator");
+
+            await expect(
+                pool.connect(operator).heartbeat()
+                ).to.emit(masternodeContract, "Heartbeat")
+                .withArgs(poolAddress);
+        });
+    });
+
+    describe("Withdrawal", function () {
+        it("Should only be started by the operator while the masternode is active", async function () {
+            const { pool, addr2 } = await loadFixture(registeredPoolFixture);
+
+            await expect(
+                pool.connect(addr2).startWithdrawal()
+                ).to.be.revertedWith("Caller is not the operator");
+
+            await expect(
+                pool.connect(addr2).cancelWithdrawal()
+                ).to.be.revertedWith("Caller is not the operator");
+        });
+
+        it("Should let contributors holding most of the deposits force the withdrawal", async function () {
+            const { pool, operator, addr1, addr2, addr3 } = await loadFixture(registeredPoolFixture);
+
+            await expect(
+                pool.connect(addr1).requestWithdrawal()
+                ).to.be.revertedWith("No deposit");
+
+            await expect(
+                pool.connect(addr3).requestWithdrawal()
+                ).to.emit(pool, "WithdrawalRequested")
+                .withArgs(addr3.address);
+
+            await expect(
+                pool.connect(addr3).requestWithdrawal()
+                ).to.be.revertedWith("Withdrawal already requested");
+
+            // 40% of the deposits is not enough.
+            expect(await pool.withdrawalRequestedByContributors()).to.equal(false);
+
+            await expect(
+                pool.connect(addr1).startWithdrawal()
+                ).to.be.revertedWith("Caller is not the operator");
+
+            await pool.connect(addr2).requestWithdrawal();
+
+            expect(await pool.withdrawalRequests()).to.equal(ethers.parseEther("1000000"));
+            expect(await pool.withdrawalRequestedByContributors()).to.equal(true);
+
+            await expect(
+                pool.connect(addr1).startWithdrawal()
+                ).to.emit(pool, "PoolWithdrawalStarted");
+
+            // The operator can't override the contributors.
+            await expect(
+                pool.connect(operator).cancelWithdrawal()
+                ).to.be.revertedWith("Withdrawal requested by the contributors");
+
+            await expect(
+                pool.connect(addr2).revokeWithdrawalRequest()
+                ).to.emit(pool, "WithdrawalRequestRevoked")
+                .withArgs(addr2.address);
+
+            await expect(
+                pool.connect(addr2).revokeWithdrawalRequest()
+                ).to.be.revertedWith("Withdrawal not requested");
+
+            await expect(
+                pool.connect(operator).cancelWithdrawal()
+                ).to.emit(pool, "PoolWithdrawalCancelled");
+        });
+
+        it("Should let anyone start the withdrawal once the masternode is inactive", async function () {
+            const { masternodeContract, pool, poolAddress, addr1 } = await loadFixture(registeredPoolFixture);
+
+            await mine(1001);
+
+            await expect(
+                pool.connect(addr1).startWithdrawal()
+                ).to.be.revertedWith("Caller is not the operator");
+
+            await masternodeContract.connect(addr1).markInactive(poolAddress);
+
+            await expect(
+                pool.connect(addr1).startWithdrawal()
+                ).to.emit(pool, "PoolWithdrawalStarted");
+
+            expect(await masternodeContract.registrationStatus(poolAddress)).to.equal(2);
+        });
+
+        it("Should collect outstanding rewards when the withdrawal starts", async function () {
+            const { masternodeContract, pool, poolAddress, stakingAddress, operator, addr2 } = await loadFixture(registeredPoolFixture);
+
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+
+            const tx = pool.connect(operator).startWithdrawal();
+
+            await expect(tx).to.emit(pool, "PoolWithdrawalStarted");
+            await expect(tx).to.emit(pool, "RewardsCollected")
+                .withArgs(ethers.parseEther("100"), ethers.parseEther("10"));
+
+            expect(await pool.status()).to.equal(2);
+            expect(await masternodeContract.registrationStatus(poolAddress)).to.equal(2);
+            expect(await pool.rewardsOwing(addr2.address)).to.equal(ethers.parseEther("54"));
+
+            await expect(
+                pool.claimRewards()
+                ).to.be.revertedWith("Pool not registered");
+        });
+
+        it("Should cancel a withdrawal in progress", async function () {
+            const { masternodeContract, pool, poolAddress, operator } = await loadFixture(registeredPoolFixture);
+
+            await expect(
+                pool.connect(operator).cancelWithdrawal()
+                ).to.be.revertedWith("Pool withdrawal not started");
+
+            await pool.connect(operator).startWithdrawal();
+
+            await expect(
+                pool.connect(operator).cancelWithdrawal()
+                ).to.emit(pool, "PoolWithdrawalCancelled");
+
+            expect(await pool.status()).to.equal(1);
+            expect(await masternodeContract.registrationStatus(poolAddress)).to.equal(1);
+        });
+
+        it("Should return each contributor's deposit once the withdrawal completes", async function () {
+            const { masternodeContract, pool, poolAddress, stakingAddress, operator, addr2, addr3 } = await loadFixture(registeredPoolFixture);
+
+            await addRewards(stakingAddress, ethers.parseEther("100"));
+
+            await pool.connect(operator).startWithdrawal();
+            await pool.connect(addr3).withdrawRewards();
+
+            await expect(
+                pool.connect(addr2).withdrawCollateral()
+                ).to.be.revertedWith("Pool not closed");
+
+            await expect(
+                pool.completeWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalDelayNotElapsed")
+                .withArgs(poolAddress, 100797);
+
+            mine(100800);
+
+            await expect(
+                pool.completeWithdrawal()
+                ).to.emit(pool, "PoolClosed");
+
+            expect(await pool.status()).to.equal(3);
+
+            // addr2 has not withdrawn their rewards yet, so they are paid out along with the deposit.
+            const tx = pool.connect(addr2).withdrawCollateral();
+
+            await expect(tx).to.emit(pool, "CollateralWithdrawn")
+                .withArgs(addr2.address, ethers.parseEther("600000"));
+            await expect(tx).to.changeEtherBalance(addr2, ethers.parseEther("600054"));
+
+            await expect(
+                pool.connect(addr3).withdrawCollateral()
+                ).to.changeEtherBalance(addr3, ethers.parseEther("400000"));
+
+            await expect(
+                pool.connect(addr3).withdrawCollateral()
+                ).to.be.revertedWith("No deposit");
+
+            expect(await pool.totalDeposits()).to.equal(0);
+
+            await pool.connect(operator).withdrawOperatorFee();
+
+            expect(await ethers.provider.getBalance(await pool.getAddress())).to.equal(0);
+        });
+    });
+});
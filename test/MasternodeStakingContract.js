@@ -4,7 +4,10 @@ const {
     loadFixture,
     mine,
     setBalance,
+    time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { pendingRewards } = require("../sdk");
+const { getDomain, signClaim, signStartWithdrawal } = require("../utils/authorizations");
 
 describe("Masternode staking contract", function () {
     async function deployTokenFixture() {
@@ -62,7 +65,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).register()
-                ).to.be.revertedWith("Incorrect collateral amount");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("1000000"), 0, false);
             
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -72,7 +76,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).register({ value: ethers.parseEther("999999") })
-                ).to.be.revertedWith("Incorrect collateral amount");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("1000000"), ethers.parseEther("999999"), false);
 
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -82,7 +87,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000001") })
-                ).to.be.revertedWith("Incorrect collateral amount");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("1000000"), ethers.parseEther("1000001"), false);
             
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -117,7 +123,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") })
-                ).to.be.revertedWith("Account already registered");
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountAlreadyRegistered")
+                .withArgs(addr1.address, 1);
 
             // Shouldn't have affected registration status; the account was registered already.
             expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(1);
@@ -132,7 +139,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).claimRewards()
-                ).to.be.revertedWith("Account not registered");
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
         });
 
         it("Should work if registered", async function () {
@@ -322,13 +330,546 @@ describe("Masternode staking contract", function () {
             });
         });
 
+    describe("Pending rewards", function () {
+        it("Should be zero if not registered", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("50"));
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(0);
+            expect(await pendingRewards(masternodeContract, addr1.address)).to.equal(0);
+        });
+
+        it("Should include balance that has not been distributed yet", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            // No transaction has called update() since the rewards arrived.
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("1000050"));
+
+            expect(await masternodeContract.totalDividends()).to.equal(0);
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(ethers.parseEther("50"));
+            expect(await pendingRewards(masternodeContract, addr1.address)).to.equal(ethers.parseEther("50"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("50"));
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(0);
+            expect(await pendingRewards(masternodeContract, addr1.address)).to.equal(0);
+        });
+
+        it("Should equal the claimed amount for several registrations", async function () {
+            const { masternodeContract, addr1, addr2, addr3, addrLegacy } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            async function expectClaimToMatchPending(account) {
+                const pending = await masternodeContract.pendingRewards(account.address);
+
+                expect(await pendingRewards(masternodeContract, account.address)).to.equal(pending);
+
+                await expect(
+                    masternodeContract.connect(account).claimRewards()
+                    ).to.changeEtherBalance(account, pending);
+            }
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            await expectClaimToMatchPending(addr1);
+
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("7"));
+
+            await expectClaimToMatchPending(addr2);
+            await expectClaimToMatchPending(addrLegacy);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + 1001n);
+
+            await expectClaimToMatchPending(addr3);
+            await expectClaimToMatchPending(addr1);
+            await expectClaimToMatchPending(addr2);
+        });
+
+        it("Should be zero once withdrawing", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("2000050"));
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(0);
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("50"));
+            expect(await pendingRewards(masternodeContract, addr1.address)).to.equal(0);
+        });
+    });
+
+    describe("Reward remainder", function () {
+        // Balance held by the contract that is neither collateral nor claimable by any registered account.
+        async function unallocatedBalance(masternodeContract, accounts) {
+            let claimable = 0n;
+
+            for (const account of accounts) {
+                claimable += await masternodeContract.pendingRewards(account.address);
+            }
+
+            return (await ethers.provider.getBalance(await masternodeContract.getAddress()))
+                - (await masternodeContract.totalCollateralAmount())
+                - (await masternodeContract.withdrawingCollateralAmount())
+                - claimable;
+        }
+
+        it("Should carry the remainder of a distribution forward", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+
+            // 100 wei split three ways leaves 1 wei.
+            await setBalance(contractAddress, ethers.parseEther("3000000") + 100n);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, 33n);
+
+            expect(await masternodeContract.totalDividends()).to.equal(33n);
+            expect(await masternodeContract.lastBalance()).to.equal(99n - 33n);
+
+            // Another 101 wei plus the 1 wei carried over is exactly 34 each.
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + 101n);
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, 33n + 34n);
+
+            expect(await masternodeContract.totalDividends()).to.equal(67n);
+            expect(await unallocatedBalance(masternodeContract, [addr1, addr2, addr3])).to.equal(0n);
+        });
+
+        it("Shouldn't distribute anything when the amount is less than the registration count", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("3000000") + 2n);
+
+            const tx = masternodeContract.connect(addr1).claimRewards();
+
+            await expect(tx).not.to.emit(masternodeContract, "DividendsDistributed");
+            await expect(tx).to.changeEtherBalance(addr1, 0n);
+
+            expect(await masternodeContract.lastBalance()).to.equal(0n);
+        });
+
+        for (const registrations of [2, 3, 6, 7, 9, 11, 13]) {
+            it(`Should not strand block rewards split across ${registrations} registrations`, async function () {
+                const { masternodeContract } = await loadFixture(deployTokenFixture);
+                const contractAddress = await masternodeContract.getAddress();
+                const accounts = (await ethers.getSigners()).slice(4, 4 + registrations);
+                const blockReward = ethers.parseEther("30") + 7n;
+
+                for (const account of accounts) {
+                    await setBalance(account.address, ethers.parseEther("5000000"));
+                    await masternodeContract.connect(account).register({ value: ethers.parseEther("1000000") });
+                }
+
+                // What the previous accounting, which counted the full amount as distributed, would have stranded.
+                let strandedBefore = 0n;
+
+                for (let round = 0; round < 40; round++) {
+                    await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + blockReward);
+                    await masternodeContract.connect(accounts[round % registrations]).claimRewards();
+
+                    strandedBefore += blockReward % BigInt(registrations);
+
+                    // Only the remainder of the latest distribution is ever held back, and it is carried into the next one.
+                    const strandedAfter = await unallocatedBalance(masternodeContract, accounts);
+
+                    expect(strandedAfter).to.be.lessThan(BigInt(registrations));
+                    expect(strandedAfter).to.equal(
+                        (await ethers.provider.getBalance(contractAddress))
+                        - (await masternodeContract.totalCollateralAmount())
+                        - (await masternodeContract.lastBalance()));
+                }
+
+                expect(strandedBefore).to.be.greaterThan(BigInt(registrations));
+
+                // Once every account has claimed, the contract only holds collateral plus the current remainder.
+                for (const account of accounts) {
+                    await masternodeContract.connect(account).claimRewards();
+                }
+
+                const remainder = (await ethers.provider.getBalance(contractAddress)) - (await masternodeContract.totalCollateralAmount());
+
+                expect(remainder).to.be.lessThan(BigInt(registrations));
+                expect(await masternodeContract.lastBalance()).to.equal(0n);
+            });
+        }
+    });
+
+    describe("Payout addresses", function () {
+        it("Should default to the registering account", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") })
+                ).to.emit(masternodeContract, "PayoutAddressesChanged")
+                .withArgs(addr1.address, addr1.address, addr1.address);
+
+            expect(await masternodeContract.rewardRecipient(addr1.address)).to.equal(addr1.address);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr1.address);
+        });
+
+        it("Shouldn't accept the zero address", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).registerWithPayoutAddresses(ethers.ZeroAddress, addr2.address, { value: ethers.parseEther("1000000") })
+                ).to.be.revertedWithCustomError(masternodeContract, "InvalidPayoutAddress");
+
+            await expect(
+                masternodeContract.connect(addr1).registerWithPayoutAddresses(addr2.address, ethers.ZeroAddress, { value: ethers.parseEther("1000000") })
+                ).to.be.revertedWithCustomError(masternodeContract, "InvalidPayoutAddress");
+        });
+
+        it("Should still require the collateral of the registering account", async function () {
+            const { masternodeContract, addr1, addrLegacy } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addrLegacy).registerWithPayoutAddresses(addr1.address, addr1.address, { value: ethers.parseEther("1000000") })
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("100000"), ethers.parseEther("1000000"), true);
+
+            await expect(
+                masternodeContract.connect(addrLegacy).registerWithPayoutAddresses(addr1.address, addr1.address, { value: ethers.parseEther("100000") })
+                ).to.emit(masternodeContract, "Registration")
+                .withArgs(addrLegacy.address);
+        });
+
+        it("Should pay rewards and collateral to the configured addresses", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).registerWithPayoutAddresses(addr2.address, addr3.address, { value: ethers.parseEther("1000000") })
+                ).to.emit(masternodeContract, "PayoutAddressesChanged")
+                .withArgs(addr1.address, addr2.address, addr3.address);
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("1000050"));
+
+            const tx = masternodeContract.connect(addr1).claimRewards();
+
+            await expect(tx).to.changeEtherBalance(addr2, ethers.parseEther("50"));
+            await expect(tx).to.changeEtherBalance(addr3, 0);
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("1000020"));
+
+            // Residual rewards claimed when starting the withdrawal also go to the reward recipient.
+            await expect(
+                masternodeContract.connect(addr1).startWithdrawal()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("20"));
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawal()
+                ).to.changeEtherBalances([addr2, addr3], [0, ethers.parseEther("1000000")]);
+
+            expect(await masternodeContract.rewardRecipient(addr1.address)).to.equal(ethers.ZeroAddress);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should only be changeable by the withdrawal address", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+
+            // The masternode key itself can't redirect the payouts.
+            await expect(
+                masternodeContract.connect(addr1).setPayoutAddresses(addr1.address, addr3.address, addr3.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr2.address);
+
+            await expect(
+                masternodeContract.connect(addr2).setPayoutAddresses(addr1.address, addr3.address, ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(masternodeContract, "InvalidPayoutAddress");
+
+            await expect(
+                masternodeContract.connect(addr2).setPayoutAddresses(addr1.address, addr3.address, addr3.address)
+                ).to.emit(masternodeContract, "PayoutAddressesChanged")
+                .withArgs(addr1.address, addr3.address, addr3.address);
+
+            expect(await masternodeContract.rewardRecipient(addr1.address)).to.equal(addr3.address);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr3.address);
+
+            // Control has moved on with the withdrawal address.
+            await expect(
+                masternodeContract.connect(addr2).setPayoutAddresses(addr1.address, addr2.address, addr2.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr3.address);
+        });
+
+        it("Should be changeable while withdrawing but not once unregistered", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).setPayoutAddresses(addr1.address, addr1.address, addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            await masternodeContract.connect(addr2).setPayoutAddresses(addr1.address, addr1.address, addr3.address);
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawal()
+                ).to.changeEtherBalance(addr3, ethers.parseEther("1000000"));
+        });
+    });
+
+    describe("Masternode registry", function () {
+        async function listMasternodes(masternodeContract, pageSize) {
+            const listed = [];
+            let cursor = 0n;
+
+            do {
+                const [entries, nextCursor] = await masternodeContract.getMasternodes(cursor, pageSize);
+
+                listed.push(...entries.map((entry) => entry.account));
+                cursor = nextCursor;
+            } while (cursor !== 0n);
+
+            return listed;
+        }
+
+        async function registerAll(masternodeContract, signers) {
+            for (const signer of signers) {
+                await setBalance(signer.address, ethers.parseEther("5000000"));
+                await masternodeContract.connect(signer).register({ value: await masternodeContract.COLLATERAL_AMOUNT() });
+            }
+        }
+
+        async function withdraw(masternodeContract, signer) {
+            await masternodeContract.connect(signer).startWithdrawal();
+            await mine(100800);
+            await masternodeContract.connect(signer).completeWithdrawal();
+        }
+
+        it("Should be empty initially", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+
+            const [entries, nextCursor] = await masternodeContract.getMasternodes(0, 10);
+
+            expect(entries).to.have.lengthOf(0);
+            expect(nextCursor).to.equal(0);
+            expect(await masternodeContract.masternodeCount()).to.equal(0);
+        });
+
+        it("Should list the details of each registration", async function () {
+            const { masternodeContract, addr1, addrLegacy } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            const registration = await (await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") })).wait();
+
+            await setBalance(await masternodeContract.getAddress(), ethers.parseEther("1100050"));
+
+            const [entries, nextCursor] = await masternodeContract.getMasternodes(0, 10);
+
+            expect(nextCursor).to.equal(0);
+            expect(entries).to.have.lengthOf(2);
+
+            expect(entries[0].account).to.equal(addr1.address);
+            expect(entries[0].status).to.equal(1);
+            expect(entries[0].legacy).to.equal(false);
+            expect(entries[0].accruedBalance).to.equal(ethers.parseEther("25"));
+
+            expect(entries[1].account).to.equal(addrLegacy.address);
+            expect(entries[1].legacy).to.equal(true);
+            expect(entries[1].lastClaimedBlock).to.equal(registration.blockNumber);
+        });
+
+        it("Should keep withdrawing accounts until the withdrawal completes", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await registerAll(masternodeContract, [addr1, addr2, addr3]);
+
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            const [entries] = await masternodeContract.getMasternodes(0, 10);
+
+            expect(entries.map((entry) => entry.status)).to.deep.equal([1n, 2n, 1n]);
+            expect(await masternodeContract.masternodeCount()).to.equal(3);
+
+            await mine(100800);
+            await masternodeContract.connect(addr2).completeWithdrawal();
+
+            expect(await listMasternodes(masternodeContract, 10)).to.deep.equal([addr1.address, addr3.address]);
+            expect(await masternodeContract.masternodeCount()).to.equal(2);
+
+            // Registering again appends the account at the end.
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            expect(await listMasternodes(masternodeContract, 10)).to.deep.equal([addr1.address, addr3.address, addr2.address]);
+        });
+
+        it("Should handle removing the first and last entries", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await registerAll(masternodeContract, [addr1, addr2, addr3]);
+
+            await withdraw(masternodeContract, addr1);
+            await withdraw(masternodeContract, addr3);
+
+            expect(await listMasternodes(masternodeContract, 1)).to.deep.equal([addr2.address]);
+
+            await withdraw(masternodeContract, addr2);
+
+            expect(await listMasternodes(masternodeContract, 1)).to.deep.equal([]);
+
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+
+            expect(await listMasternodes(masternodeContract, 1)).to.deep.equal([addr3.address]);
+        });
+
+        it("Should page through all entries regardless of page size", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+            const signers = (await ethers.getSigners()).slice(4, 11);
+
+            await registerAll(masternodeContract, signers);
+
+            for (const pageSize of [1, 2, 3, 7, 100]) {
+                expect(await listMasternodes(masternodeContract, pageSize)).to.deep.equal(signers.map((signer) => signer.address));
+            }
+        });
+
+        it("Should keep pagination stable across removals", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+            const signers = (await ethers.getSigners()).slice(4, 11);
+            const [a, b, c, d, e, f, g] = signers;
+
+            await registerAll(masternodeContract, signers);
+
+            const [firstPage, cursor] = await masternodeContract.getMasternodes(0, 3);
+
+            expect(firstPage.map((entry) => entry.account)).to.deep.equal([a.address, b.address, c.address]);
+            expect(cursor).to.equal(3);
+
+            // Remove an account already seen, the cursor account itself and an account not yet seen.
+            await withdraw(masternodeContract, a);
+            await withdraw(masternodeContract, c);
+            await withdraw(masternodeContract, e);
+
+            const [secondPage, secondCursor] = await masternodeContract.getMasternodes(cursor, 3);
+
+            // Nothing is skipped or returned twice.
+            expect(secondPage.map((entry) => entry.account)).to.deep.equal([d.address, f.address, g.address]);
+            expect(secondCursor).to.equal(0);
+
+            expect(await listMasternodes(masternodeContract, 2)).to.deep.equal([b.address, d.address, f.address, g.address]);
+            expect(await masternodeContract.masternodeCount()).to.equal(4);
+        });
+
+        it("Should keep pagination stable when a removed account registers again", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+            const signers = (await ethers.getSigners()).slice(4, 8);
+            const [a, b, c, d] = signers;
+
+            await registerAll(masternodeContract, signers);
+
+            const [firstPage, cursor] = await masternodeContract.getMasternodes(0, 2);
+
+            expect(firstPage.map((entry) => entry.account)).to.deep.equal([a.address, b.address]);
+
+            // The cursor account leaves and registers again, which appends it at the end of the list.
+            await withdraw(masternodeContract, b);
+            await masternodeContract.connect(b).register({ value: ethers.parseEther("1000000") });
+
+            const [secondPage, secondCursor] = await masternodeContract.getMasternodes(cursor, 2);
+
+            expect(secondPage.map((entry) => entry.account)).to.deep.equal([c.address, d.address]);
+
+            const [thirdPage, thirdCursor] = await masternodeContract.getMasternodes(secondCursor, 2);
+
+            expect(thirdPage.map((entry) => entry.account)).to.deep.equal([b.address]);
+            expect(thirdCursor).to.equal(0);
+        });
+
+        it("Should keep pagination stable when the last entry is removed", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+            const signers = (await ethers.getSigners()).slice(4, 8);
+            const [a, b, c, d] = signers;
+
+            await registerAll(masternodeContract, [a, b, c]);
+
+            const [firstPage, cursor] = await masternodeContract.getMasternodes(0, 2);
+
+            expect(firstPage.map((entry) => entry.account)).to.deep.equal([a.address, b.address]);
+
+            // Once the entries after the cursor are gone, the cursor entry itself becomes the last one before being removed.
+            // Accounts registered afterwards are still found from it.
+            await withdraw(masternodeContract, c);
+            await withdraw(masternodeContract, b);
+            await registerAll(masternodeContract, [d]);
+
+            const [secondPage, secondCursor] = await masternodeContract.getMasternodes(cursor, 2);
+
+            expect(secondPage.map((entry) => entry.account)).to.deep.equal([d.address]);
+            expect(secondCursor).to.equal(0);
+        });
+
+        it("Should keep pagination stable across registration transfers", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+            const signers = (await ethers.getSigners()).slice(4, 9);
+            const [a, b, c, d, e] = signers;
+
+            await registerAll(masternodeContract, [a, b, c, d]);
+
+            const [firstPage, cursor] = await masternodeContract.getMasternodes(0, 2);
+
+            expect(firstPage.map((entry) => entry.account)).to.deep.equal([a.address, b.address]);
+
+            // The cursor account transfers its registration to a new address, which takes over its position.
+            await masternodeContract.connect(b).startRegistrationTransfer(b.address, e.address);
+            await masternodeContract.connect(e).acceptRegistrationTransfer(b.address);
+
+            const [secondPage] = await masternodeContract.getMasternodes(cursor, 2);
+
+            expect(secondPage.map((entry) => entry.account)).to.deep.equal([c.address, d.address]);
+            expect(await listMasternodes(masternodeContract, 2)).to.deep.equal([a.address, e.address, c.address, d.address]);
+
+            // The first account leaves, and another one transfers its registration to the address it used.
+            const [, firstCursor] = await masternodeContract.getMasternodes(0, 1);
+
+            await withdraw(masternodeContract, a);
+            await masternodeContract.connect(c).startRegistrationTransfer(c.address, a.address);
+            await masternodeContract.connect(a).acceptRegistrationTransfer(c.address);
+
+            const [page] = await masternodeContract.getMasternodes(firstCursor, 10);
+
+            expect(page.map((entry) => entry.account)).to.deep.equal([e.address, a.address, d.address]);
+            expect(await masternodeContract.masternodeCount()).to.equal(3);
+        });
+    });
+
     describe("Withdraw collateral", function () {
         it("Shouldn't be able to start withdrawal without being registered", async function () {
             const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
 
             await expect(
                 masternodeContract.connect(addr1).startWithdrawal()
-                ).to.be.revertedWith("Account not registered");
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
         });
 
         it("Should be able to start withdrawal if registered", async function () {
@@ -368,7 +909,8 @@ describe("Masternode staking contract", function () {
             
             await expect(
                 masternodeContract.connect(addr1).startWithdrawal()
-                ).to.be.revertedWith("Account not registered");
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 2);
         });
 
         it("Shouldn't be able to complete withdrawal without starting", async function () {
@@ -376,7 +918,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).completeWithdrawal()
-                ).to.be.revertedWith("Account has not started the withdrawal process");
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr1.address, 0);
         });
 
         it("Shouldn't be able to complete withdrawal early", async function () {
@@ -401,7 +944,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addr1).completeWithdrawal()
-                ).to.be.revertedWith("Withdrawal delay has not yet elapsed");
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalDelayNotElapsed")
+                .withArgs(addr1.address, 2);
         });
 
         it("Should be able to complete withdrawal after sufficient time", async function () {
@@ -432,13 +976,1631 @@ describe("Masternode staking contract", function () {
         });
     });
 
+    describe("Cancel withdrawal", function () {
+        it("Shouldn't work if not withdrawing", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).cancelWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr1.address, 0);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await expect(
+                masternodeContract.connect(addr1).cancelWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr1.address, 1);
+        });
+
+        it("Should return the account to the registered state", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            expect(await masternodeContract.totalRegistrations()).to.equal(1);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            const tx = masternodeContract.connect(addr2).cancelWithdrawal();
+
+            await expect(tx).to.emit(masternodeContract, "WithdrawalCancelled")
+                .withArgs(addr2.address);
+
+            // No funds move.
+            await expect(tx).to.changeEtherBalances([addr2, masternodeContract], [0, 0]);
+
+            expect(await masternodeContract.registrationStatus(addr2.address)).to.equal(1);
+            expect(await masternodeContract.totalRegistrations()).to.equal(2);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("2000000"));
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(0);
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr2.address, 1);
+        });
+
+        it("Shouldn't earn rewards for the time spent withdrawing", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            // Rewards arriving during the withdrawal belong to addr1 alone.
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            await masternodeContract.connect(addr2).cancelWithdrawal();
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(0);
+
+            // From here on they share again.
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("25"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("75"));
+        });
+
+        it("Should keep legacy status and restart the withdrawal delay", async function () {
+            const { masternodeContract, addrLegacy } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+            await masternodeContract.connect(addrLegacy).startWithdrawal();
+
+            mine(100800);
+
+            // Cancelling is still possible after the delay has elapsed.
+            await masternodeContract.connect(addrLegacy).cancelWithdrawal();
+
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(true);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("100000"));
+
+            await masternodeContract.connect(addrLegacy).startWithdrawal();
+
+            await expect(
+                masternodeContract.connect(addrLegacy).completeWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalDelayNotElapsed")
+                .withArgs(addrLegacy.address, 100799);
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addrLegacy).completeWithdrawal()
+                ).to.changeEtherBalance(addrLegacy, ethers.parseEther("100000"));
+        });
+    });
+
+    describe("Early withdrawal", function () {
+        async function deployEarlyWithdrawalFixture() {
+            const [addr1, addr2, addr3, addrLegacy, admin] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            for (const signer of [addr1, addr2, addr3, addrLegacy]) {
+                await setBalance(signer.address, ethers.parseEther("5000000"));
+            }
+
+            await masternodeContract.setGovernance(admin.address, 5400);
+            await masternodeContract.assignLegacyAccounts([addrLegacy]);
+
+            return { masternodeContract, addr1, addr2, addr3, addrLegacy, admin };
+        }
+
+        async function addRewards(masternodeContract, amount) {
+            const address = await masternodeContract.getAddress();
+
+            await setBalance(address, (await ethers.provider.getBalance(address)) + amount);
+        }
+
+        // Everything the contract holds is either collateral, distributed but unclaimed rewards, or not yet distributed.
+        async function expectAccounting(masternodeContract, { totalCollateralAmount, withdrawingCollateralAmount, lastBalance, undistributed }) {
+            const balance = await ethers.provider.getBalance(await masternodeContract.getAddress());
+
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(totalCollateralAmount);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(withdrawingCollateralAmount);
+            expect(await masternodeContract.lastBalance()).to.equal(lastBalance);
+            expect(balance).to.equal(totalCollateralAmount + withdrawingCollateralAmount + lastBalance + undistributed);
+        }
+
+        it("Should only be possible while withdrawing", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr1.address, 0);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalNotStarted")
+                .withArgs(addr1.address, 1);
+        });
+
+        it("Should return the collateral minus the penalty right away", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            expect(await masternodeContract.EARLY_WITHDRAWAL_PENALTY()).to.equal(1000);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawalEarly(addr1.address)
+                ).to.changeEtherBalances([addr1, addr2], [0, ethers.parseEther("900000")]);
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(0);
+            expect(await masternodeContract.collateral(addr1.address)).to.equal(0);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(ethers.ZeroAddress);
+            expect(await masternodeContract.masternodeCount()).to.equal(0);
+
+            // With no account registered, the penalty is carried forward like any other rewards.
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: 0n,
+                withdrawingCollateralAmount: 0n,
+                lastBalance: 0n,
+                undistributed: ethers.parseEther("100000"),
+            });
+        });
+
+        it("Should only be possible from the withdrawal address", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            // The masternode key can start a withdrawal, but can't accept the penalty on behalf of the withdrawal address.
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr2.address);
+
+            await expect(
+                masternodeContract.connect(addr3).completeWithdrawalEarly(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr2.address);
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(2);
+            expect(await masternodeContract.collateral(addr1.address)).to.equal(ethers.parseEther("1000000"));
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawalEarly(addr1.address)
+                ).to.emit(masternodeContract, "EarlyWithdrawal")
+                .withArgs(addr1.address, ethers.parseEther("100000"));
+        });
+
+        it("Should distribute the penalty to the registered accounts", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+
+            // Rewards that arrived before the exit are distributed along with the penalty, and addr1 takes no share of either.
+            await addRewards(masternodeContract, ethers.parseEther("30") + 1n);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.emit(masternodeContract, "DividendsDistributed")
+                .withArgs(ethers.parseEther("100030"), 2, ethers.parseEther("50015"));
+
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: ethers.parseEther("2000000"),
+                withdrawingCollateralAmount: 0n,
+                lastBalance: ethers.parseEther("100030"),
+                undistributed: 1n,
+            });
+
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("50015"));
+            expect(await masternodeContract.pendingRewards(addr3.address)).to.equal(ethers.parseEther("50015"));
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("50015"));
+
+            await expect(
+                masternodeContract.connect(addr3).startWithdrawal()
+                ).to.changeEtherBalance(addr3, ethers.parseEther("50015"));
+
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: ethers.parseEther("1000000"),
+                withdrawingCollateralAmount: ethers.parseEther("1000000"),
+                lastBalance: 0n,
+                undistributed: 1n,
+            });
+        });
+
+        it("Should leave other withdrawals in progress unaffected", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            await masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address);
+
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: ethers.parseEther("1000000"),
+                withdrawingCollateralAmount: ethers.parseEther("1000000"),
+                lastBalance: ethers.parseEther("100000"),
+                undistributed: 0n,
+            });
+
+            expect(await masternodeContract.pendingRewards(addr3.address)).to.equal(ethers.parseEther("100000"));
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawal()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("1000000"));
+
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: ethers.parseEther("1000000"),
+                withdrawingCollateralAmount: 0n,
+                lastBalance: ethers.parseEther("100000"),
+                undistributed: 0n,
+            });
+        });
+
+        it("Shouldn't charge a penalty once the withdrawal delay has elapsed", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            // The next transaction is mined in the last block of the delay.
+            mine(100800 - 2);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.emit(masternodeContract, "EarlyWithdrawal")
+                .withArgs(addr1.address, ethers.parseEther("100000"));
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            mine(100800 - 1);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address)
+                ).to.changeEtherBalance(addr1, ethers.parseEther("1000000"));
+
+            expect(await masternodeContract.lastBalance()).to.equal(ethers.parseEther("100000"));
+        });
+
+        it("Should return the whole collateral once governance waives the penalty", async function () {
+            const { masternodeContract, addr1, admin } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await masternodeContract.connect(admin).proposeParameterChange(3, 0);
+
+            mine(5400);
+
+            await masternodeContract.executeParameterChange(3);
+
+            expect(await masternodeContract.EARLY_WITHDRAWAL_PENALTY()).to.equal(0);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            const tx = masternodeContract.connect(addr1).completeWithdrawalEarly(addr1.address);
+
+            await expect(tx).to.emit(masternodeContract, "EarlyWithdrawal")
+                .withArgs(addr1.address, 0);
+            await expect(tx).to.changeEtherBalance(addr1, ethers.parseEther("1000000"));
+        });
+
+        it("Should charge the penalty set by governance", async function () {
+            const { masternodeContract, addr2, addrLegacy, admin } = await loadFixture(deployEarlyWithdrawalFixture);
+
+            await expect(
+                masternodeContract.connect(admin).proposeParameterChange(3, 10001)
+                ).to.be.revertedWith("Invalid parameter value");
+
+            await masternodeContract.connect(admin).proposeParameterChange(3, 2500);
+
+            mine(5400);
+
+            await masternodeContract.executeParameterChange(3);
+
+            expect(await masternodeContract.EARLY_WITHDRAWAL_PENALTY()).to.equal(2500);
+
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+            await masternodeContract.connect(addrLegacy).startWithdrawal();
+
+            await expect(
+                masternodeContract.connect(addrLegacy).completeWithdrawalEarly(addrLegacy.address)
+                ).to.changeEtherBalance(addrLegacy, ethers.parseEther("75000"));
+
+            // Like a regular withdrawal, this gives up the legacy status.
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(false);
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("25000"));
+
+            await expectAccounting(masternodeContract, {
+                totalCollateralAmount: ethers.parseEther("1000000"),
+                withdrawingCollateralAmount: 0n,
+                lastBalance: ethers.parseEther("25000"),
+                undistributed: 0n,
+            });
+        });
+    });
+
+    describe("Heartbeat", function () {
+        async function deployHeartbeatFixture() {
+            const [addr1, addr2, addr3] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            setBalance(addr1.address, ethers.parseEther("5000000"));
+            setBalance(addr2.address, ethers.parseEther("5000000"));
+
+            await masternodeContract.setHeartbeatWindow(10);
+            await masternodeContract.assignLegacyAccounts([]);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            return { masternodeContract, contractAddress: await masternodeContract.getAddress(), addr1, addr2, addr3 };
+        }
+
+        it("Shouldn't mark accounts inactive when heartbeats are disabled", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            mine(1000);
+
+            await expect(
+                masternodeContract.connect(addr2).markInactive(addr1.address)
+                ).to.be.revertedWith("Heartbeats are not enabled");
+        });
+
+        it("Should only set the heartbeat window before initialization", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.setHeartbeatWindow(10)
+                ).to.be.revertedWith("Heartbeat window can only be set before initialization");
+
+            expect(await masternodeContract.heartbeatWindow()).to.equal(0);
+        });
+
+        it("Shouldn't mark an account inactive before its window has elapsed", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            const registrationBlock = await masternodeContract.lastHeartbeatBlock(addr1.address);
+
+            // The next transaction is mined exactly one window after the registration.
+            await mine(registrationBlock + 9n - BigInt(await ethers.provider.getBlockNumber()));
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.be.revertedWith("Heartbeat window has not elapsed");
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.emit(masternodeContract, "MarkedInactive")
+                .withArgs(addr1.address, 0);
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.be.revertedWith("Account not active");
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr3.address)
+                ).to.be.revertedWith("Account not active");
+        });
+
+        it("Should restart the window with each heartbeat", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            mine(8);
+
+            await expect(
+                masternodeContract.connect(addr1).heartbeat()
+                ).to.emit(masternodeContract, "Heartbeat")
+                .withArgs(addr1.address);
+
+            mine(8);
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.be.revertedWith("Heartbeat window has not elapsed");
+
+            await expect(
+                masternodeContract.connect(addr3).heartbeat()
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr3.address, 0);
+        });
+
+        it("Should redistribute the rewards of inactive accounts", async function () {
+            const { masternodeContract, contractAddress, addr1, addr2, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("100"));
+
+            mine(10);
+
+            await masternodeContract.connect(addr2).heartbeat();
+
+            // addr1's half of the rewards since its last heartbeat goes to addr2.
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.emit(masternodeContract, "MarkedInactive")
+                .withArgs(addr1.address, ethers.parseEther("50"));
+
+            expect(await masternodeContract.inactive(addr1.address)).to.equal(true);
+            expect(await masternodeContract.totalRegistrations()).to.equal(1);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("30"));
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(0);
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("130"));
+            expect(await pendingRewards(masternodeContract, addr1.address)).to.equal(0);
+            expect(await pendingRewards(masternodeContract, addr2.address)).to.equal(ethers.parseEther("130"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, 0);
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("130"));
+        });
+
+        it("Should only forfeit the rewards since the last claim, which doesn't restart the window", async function () {
+            const { masternodeContract, contractAddress, addr1, addr2, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            const registrationBlock = await masternodeContract.lastHeartbeatBlock(addr1.address);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("100"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("50"));
+
+            expect(await masternodeContract.lastHeartbeatBlock(addr1.address)).to.equal(registrationBlock);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("40"));
+
+            mine(10);
+
+            // The window counts from the registration, and only the 20 STRAX accrued after the claim are forfeited.
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.emit(masternodeContract, "MarkedInactive")
+                .withArgs(addr1.address, ethers.parseEther("20"));
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("90"));
+        });
+
+        it("Shouldn't earn rewards for the time spent inactive", async function () {
+            const { masternodeContract, contractAddress, addr1, addr2, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            mine(10);
+
+            await masternodeContract.connect(addr3).markInactive(addr1.address);
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("40"));
+
+            const tx = masternodeContract.connect(addr1).heartbeat();
+
+            await expect(tx).to.emit(masternodeContract, "Reactivated")
+                .withArgs(addr1.address);
+            await expect(tx).to.emit(masternodeContract, "Heartbeat")
+                .withArgs(addr1.address);
+
+            expect(await masternodeContract.inactive(addr1.address)).to.equal(false);
+            expect(await masternodeContract.totalRegistrations()).to.equal(2);
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(0);
+
+            // From here on they share again.
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("20"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("10"));
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("50"));
+        });
+
+        it("Should let an inactive account withdraw its collateral", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployHeartbeatFixture);
+
+            mine(10);
+
+            await masternodeContract.connect(addr3).markInactive(addr1.address);
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            // The account was no longer counted as a registration while inactive.
+            expect(await masternodeContract.totalRegistrations()).to.equal(1);
+            expect(await masternodeContract.inactive(addr1.address)).to.equal(false);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            // Cancelling returns it as an active account with a fresh window.
+            await masternodeContract.connect(addr1).cancelWithdrawal();
+
+            expect(await masternodeContract.totalRegistrations()).to.equal(2);
+
+            await expect(
+                masternodeContract.connect(addr3).markInactive(addr1.address)
+                ).to.be.revertedWith("Heartbeat window has not elapsed");
+        });
+    });
+
+    describe("Signed authorizations", function () {
+        async function deadline(seconds = 3600) {
+            return BigInt(await time.latest()) + BigInt(seconds);
+        }
+
+        it("Should use the EIP-712 domain of the contract", async function () {
+            const { masternodeContract } = await loadFixture(deployTokenFixture);
+
+            expect(await masternodeContract.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(await getDomain(masternodeContract)));
+        });
+
+        it("Should let anyone submit a signed claim", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            const authorization = await signClaim(addr1, masternodeContract, { deadline: await deadline() });
+
+            expect(authorization.nonce).to.equal(0);
+
+            const tx = masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, authorization.deadline, authorization.signature);
+
+            await expect(tx).to.emit(masternodeContract, "RewardsClaimed")
+                .withArgs(addr1.address, ethers.parseEther("50"));
+
+            // The relayer only pays for gas.
+            await expect(tx).to.changeEtherBalances([addr1, addr3], [ethers.parseEther("50"), 0]);
+
+            expect(await masternodeContract.nonces(addr1.address)).to.equal(1);
+        });
+
+        it("Should pay a signed claim to the reward recipient", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr2.address, addr1.address, { value: ethers.parseEther("1000000") });
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            const authorization = await signClaim(addr1, masternodeContract, { deadline: await deadline() });
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, authorization.deadline, authorization.signature)
+                ).to.changeEtherBalances([addr1, addr2], [0, ethers.parseEther("50")]);
+        });
+
+        it("Shouldn't accept a signature twice", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const authorization = await signClaim(addr1, masternodeContract, { deadline: await deadline() });
+
+            await masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, authorization.deadline, authorization.signature);
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, authorization.deadline, authorization.signature)
+                ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Shouldn't accept an expired signature", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const authorization = await signClaim(addr1, masternodeContract, { deadline: await deadline(60) });
+
+            await time.increase(61);
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, authorization.deadline, authorization.signature)
+                ).to.be.revertedWith("Signature expired");
+
+            expect(await masternodeContract.nonces(addr1.address)).to.equal(0);
+        });
+
+        it("Shouldn't accept a signature from another account or for another action", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const forged = await signClaim(addr2, masternodeContract, { deadline: await deadline(), nonce: 0n });
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, forged.deadline, forged.signature)
+                ).to.be.revertedWith("Invalid signature");
+
+            const claim = await signClaim(addr1, masternodeContract, { deadline: await deadline() });
+
+            await expect(
+                masternodeContract.connect(addr3).startWithdrawalWithSignature(addr1.address, claim.deadline, claim.signature)
+                ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should let anyone submit a signed withdrawal start", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const authorization = await signStartWithdrawal(addr1, masternodeContract, { deadline: await deadline() });
+
+            await expect(
+                masternodeContract.connect(addr3).startWithdrawalWithSignature(addr1.address, authorization.deadline, authorization.signature)
+                ).to.emit(masternodeContract, "Deregistration")
+                .withArgs(addr1.address);
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(2);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            // A signed claim still requires the account to be registered.
+            const claim = await signClaim(addr1, masternodeContract, { deadline: await deadline() });
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewardsWithSignature(addr1.address, claim.deadline, claim.signature)
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 2);
+        });
+    });
+
+    describe("Governance", function () {
+        async function deployGovernanceFixture() {
+            const [addr1, addr2, addr3, addrLegacy, admin] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            setBalance(addr1.address, ethers.parseEther("5000000"));
+            setBalance(addr2.address, ethers.parseEther("5000000"));
+            setBalance(addrLegacy.address, ethers.parseEther("5000000"));
+
+            await masternodeContract.setGovernance(admin.address, 5400);
+            await masternodeContract.assignLegacyAccounts([addrLegacy]);
+
+            return { masternodeContract, addr1, addr2, addr3, addrLegacy, admin };
+        }
+
+        // Proposes a change and executes it once the timelock has elapsed.
+        async function changeParameter(masternodeContract, admin, parameter, value) {
+            await masternodeContract.connect(admin).proposeParameterChange(parameter, value);
+
+            mine(5400);
+
+            await masternodeContract.executeParameterChange(parameter);
+        }
+
+        it("Should start out with the default parameters", async function () {
+            const { masternodeContract, admin } = await loadFixture(deployGovernanceFixture);
+
+            expect(await masternodeContract.COLLATERAL_AMOUNT()).to.equal(ethers.parseEther("1000000"));
+            expect(await masternodeContract.COLLATERAL_AMOUNT_LEGACY()).to.equal(ethers.parseEther("100000"));
+            expect(await masternodeContract.WITHDRAWAL_DELAY()).to.equal(100800);
+            expect(await masternodeContract.admin()).to.equal(admin.address);
+            expect(await masternodeContract.timelockDelay()).to.equal(5400);
+        });
+
+        it("Should only set the governance before initialization", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployGovernanceFixture);
+
+            await expect(
+                masternodeContract.setGovernance(addr1.address, 5400)
+                ).to.be.revertedWith("Governance can only be set before initialization");
+        });
+
+        it("Should require the minimum timelock delay when there is an admin", async function () {
+            const [admin] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            expect(await masternodeContract.MIN_TIMELOCK_DELAY()).to.equal(5400);
+
+            await expect(
+                masternodeContract.setGovernance(admin.address, 0)
+                ).to.be.revertedWith("Timelock delay is below the minimum");
+
+            await expect(
+                masternodeContract.setGovernance(admin.address, 5399)
+                ).to.be.revertedWith("Timelock delay is below the minimum");
+
+            // Without an admin there are no parameter changes to delay.
+            await masternodeContract.setGovernance(ethers.ZeroAddress, 0);
+            await masternodeContract.setGovernance(admin.address, 5400);
+
+            expect(await masternodeContract.timelockDelay()).to.equal(5400);
+        });
+
+        it("Should only let the admin propose and cancel changes", async function () {
+            const { masternodeContract, addr1, admin } = await loadFixture(deployGovernanceFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).proposeParameterChange(0, 1)
+                ).to.be.revertedWith("Caller is not the admin");
+
+            await expect(
+                masternodeContract.connect(admin).proposeParameterChange(0, 0)
+                ).to.be.revertedWith("Invalid parameter value");
+
+            await masternodeContract.connect(admin).proposeParameterChange(0, 1);
+
+            await expect(
+                masternodeContract.connect(addr1).cancelParameterChange(0)
+                ).to.be.revertedWith("Caller is not the admin");
+
+            await expect(
+                masternodeContract.connect(admin).cancelParameterChange(0)
+                ).to.emit(masternodeContract, "ParameterChangeCancelled")
+                .withArgs(0);
+
+            await expect(
+                masternodeContract.connect(admin).cancelParameterChange(0)
+                ).to.be.revertedWith("No pending parameter change");
+
+            mine(5400);
+
+            await expect(
+                masternodeContract.executeParameterChange(0)
+                ).to.be.revertedWith("No pending parameter change");
+        });
+
+        it("Should only execute a change once the timelock has elapsed", async function () {
+            const { masternodeContract, addr1, admin } = await loadFixture(deployGovernanceFixture);
+
+            const tx = masternodeContract.connect(admin).proposeParameterChange(2, 50400);
+            const blockNumber = BigInt((await (await tx).wait()).blockNumber);
+
+            await expect(tx).to.emit(masternodeContract, "ParameterChangeProposed")
+                .withArgs(2, 50400, blockNumber + 5400n);
+
+            const pending = await masternodeContract.pendingParameterChanges(2);
+
+            expect(pending.value).to.equal(50400);
+            expect(pending.executableBlock).to.equal(blockNumber + 5400n);
+
+            // The next transaction is mined one block before the timelock elapses.
+            mine(5398);
+
+            await expect(
+                masternodeContract.connect(addr1).executeParameterChange(2)
+                ).to.be.revertedWith("Timelock has not elapsed");
+
+            await expect(
+                masternodeContract.connect(addr1).executeParameterChange(2)
+                ).to.emit(masternodeContract, "ParameterChangeExecuted")
+                .withArgs(2, 50400);
+
+            expect(await masternodeContract.WITHDRAWAL_DELAY()).to.equal(50400);
+            expect((await masternodeContract.pendingParameterChanges(2)).executableBlock).to.equal(0);
+        });
+
+        it("Should return the collateral that was actually posted", async function () {
+            const { masternodeContract, addr1, addr2, addrLegacy, admin } = await loadFixture(deployGovernanceFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+
+            await changeParameter(masternodeContract, admin, 0, ethers.parseEther("2000000"));
+            await changeParameter(masternodeContract, admin, 1, ethers.parseEther("200000"));
+
+            await expect(
+                masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") })
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("2000000"), ethers.parseEther("1000000"), false);
+
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("2000000") });
+
+            expect(await masternodeContract.collateral(addr1.address)).to.equal(ethers.parseEther("1000000"));
+            expect(await masternodeContract.collateral(addr2.address)).to.equal(ethers.parseEther("2000000"));
+            expect(await masternodeContract.collateral(addrLegacy.address)).to.equal(ethers.parseEther("100000"));
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("3100000"));
+
+            await masternodeContract.connect(addr1).startWithdrawal();
+            await masternodeContract.connect(addrLegacy).startWithdrawal();
+
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(ethers.parseEther("1100000"));
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawal()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("1000000"));
+
+            await expect(
+                masternodeContract.connect(addrLegacy).completeWithdrawal()
+                ).to.changeEtherBalance(addrLegacy, ethers.parseEther("100000"));
+
+            expect(await masternodeContract.collateral(addr1.address)).to.equal(0);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(0);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("2000000"));
+        });
+
+        it("Should keep the withdrawal delay of withdrawals in progress", async function () {
+            const { masternodeContract, addr1, addr2, admin } = await loadFixture(deployGovernanceFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(0);
+
+            const start = await (await masternodeContract.connect(addr1).startWithdrawal()).wait();
+
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(100800);
+
+            await changeParameter(masternodeContract, admin, 2, 20);
+
+            // Withdrawals started after the change wait the new delay.
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            expect(await masternodeContract.withdrawalDelay(addr2.address)).to.equal(20);
+
+            mine(20);
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawal()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("1000000"));
+
+            const elapsed = BigInt(await ethers.provider.getBlockNumber()) + 1n - BigInt(start.blockNumber);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalDelayNotElapsed")
+                .withArgs(addr1.address, 100800n - elapsed);
+
+            // Cancelling and starting again picks up the current delay.
+            await masternodeContract.connect(addr1).cancelWithdrawal();
+
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(0);
+
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(20);
+
+            mine(20);
+
+            await expect(
+                masternodeContract.connect(addr1).completeWithdrawal()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("1000000"));
+
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(0);
+        });
+
+        it("Should transfer the admin role once accepted", async function () {
+            const { masternodeContract, addr1, addr2, admin } = await loadFixture(deployGovernanceFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).transferAdmin(addr1.address)
+                ).to.be.revertedWith("Caller is not the admin");
+
+            await expect(
+                masternodeContract.connect(admin).transferAdmin(addr1.address)
+                ).to.emit(masternodeContract, "AdminTransferStarted")
+                .withArgs(admin.address, addr1.address);
+
+            await expect(
+                masternodeContract.connect(addr2).acceptAdmin()
+                ).to.be.revertedWith("Caller is not the pending admin");
+
+            await expect(
+                masternodeContract.connect(addr1).acceptAdmin()
+                ).to.emit(masternodeContract, "AdminTransferred")
+                .withArgs(admin.address, addr1.address);
+
+            expect(await masternodeContract.admin()).to.equal(addr1.address);
+            expect(await masternodeContract.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+            await expect(
+                masternodeContract.connect(admin).proposeParameterChange(0, 1)
+                ).to.be.revertedWith("Caller is not the admin");
+        });
+    });
+
+    describe("Registration transfer", function () {
+        it("Should only be started by the withdrawal address", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr3.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+
+            await expect(
+                masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr3.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr2.address);
+
+            await expect(
+                masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(masternodeContract, "InvalidTransferAddress")
+                .withArgs(ethers.ZeroAddress);
+
+            await expect(
+                masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "InvalidTransferAddress")
+                .withArgs(addr1.address);
+
+            await expect(
+                masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, addr3.address)
+                ).to.emit(masternodeContract, "RegistrationTransferStarted")
+                .withArgs(addr1.address, addr3.address);
+
+            expect(await masternodeContract.pendingRegistrationTransfer(addr1.address)).to.equal(addr3.address);
+        });
+
+        it("Should only be accepted by the new address", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr3.address);
+
+            await expect(
+                masternodeContract.connect(addr2).acceptRegistrationTransfer(addr1.address)
+                ).to.be.revertedWith("No pending registration transfer to the caller");
+
+            // The new address can't take over a registration while it has one of its own.
+            await masternodeContract.connect(addr3).register({ value: ethers.parseEther("1000000") });
+
+            await expect(
+                masternodeContract.connect(addr3).acceptRegistrationTransfer(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountAlreadyRegistered")
+                .withArgs(addr3.address, 1);
+        });
+
+        it("Should be cancellable until accepted", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await expect(
+                masternodeContract.connect(addr1).cancelRegistrationTransfer(addr1.address)
+                ).to.be.revertedWith("No pending registration transfer");
+
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr3.address);
+
+            await expect(
+                masternodeContract.connect(addr3).cancelRegistrationTransfer(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "NotWithdrawalAddress")
+                .withArgs(addr1.address, addr1.address);
+
+            await expect(
+                masternodeContract.connect(addr1).cancelRegistrationTransfer(addr1.address)
+                ).to.emit(masternodeContract, "RegistrationTransferCancelled")
+                .withArgs(addr1.address);
+
+            await expect(
+                masternodeContract.connect(addr3).acceptRegistrationTransfer(addr1.address)
+                ).to.be.revertedWith("No pending registration transfer to the caller");
+        });
+
+        it("Should replace the legacy status of the new address", async function () {
+            const { masternodeContract, addr1, addrLegacy } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addrLegacy.address);
+            await masternodeContract.connect(addrLegacy).acceptRegistrationTransfer(addr1.address);
+
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(false);
+            expect(await masternodeContract.collateral(addrLegacy.address)).to.equal(ethers.parseEther("1000000"));
+        });
+
+        it("Should move the registration without changing the totals", async function () {
+            const { masternodeContract, addr1, addr2, addrLegacy } = await loadFixture(deployTokenFixture);
+            const [, , , , newAddress] = await ethers.getSigners();
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") });
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("90"));
+
+            // Settles the legacy account's rewards into its balance.
+            await masternodeContract.connect(addrLegacy).heartbeat();
+
+            const account = await masternodeContract.accounts(addrLegacy.address);
+            const totals = [
+                await masternodeContract.totalDividends(),
+                await masternodeContract.totalRegistrations(),
+                await masternodeContract.totalCollateralAmount(),
+                await masternodeContract.lastBalance(),
+                await masternodeContract.masternodeCount(),
+            ];
+
+            await masternodeContract.connect(addrLegacy).startRegistrationTransfer(addrLegacy.address, newAddress.address);
+
+            const tx = masternodeContract.connect(newAddress).acceptRegistrationTransfer(addrLegacy.address);
+
+            await expect(tx).to.emit(masternodeContract, "RegistrationTransferred")
+                .withArgs(addrLegacy.address, newAddress.address);
+            await expect(tx).to.emit(masternodeContract, "PayoutAddressesChanged")
+                .withArgs(newAddress.address, newAddress.address, newAddress.address);
+            await expect(tx).to.changeEtherBalance(masternodeContract, 0);
+
+            expect(await masternodeContract.registrationStatus(newAddress.address)).to.equal(1);
+            expect(await masternodeContract.registrationStatus(addrLegacy.address)).to.equal(0);
+            expect(await masternodeContract.legacy(newAddress.address)).to.equal(true);
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(false);
+            expect(await masternodeContract.collateral(newAddress.address)).to.equal(ethers.parseEther("100000"));
+            expect(await masternodeContract.accounts(newAddress.address)).to.deep.equal(account);
+            expect(await masternodeContract.pendingRegistrationTransfer(addrLegacy.address)).to.equal(ethers.ZeroAddress);
+
+            expect([
+                await masternodeContract.totalDividends(),
+                await masternodeContract.totalRegistrations(),
+                await masternodeContract.totalCollateralAmount(),
+                await masternodeContract.lastBalance(),
+                await masternodeContract.masternodeCount(),
+            ]).to.deep.equal(totals);
+
+            // The new address keeps the position in the registry.
+            const [entries] = await masternodeContract.getMasternodes(0, 10);
+
+            expect(entries.map((entry) => entry.account)).to.deep.equal([newAddress.address, addr1.address, addr2.address]);
+
+            await expect(
+                masternodeContract.connect(newAddress).claimRewards()
+                ).to.changeEtherBalance(newAddress, ethers.parseEther("30"));
+        });
+
+        it("Should keep separate payout addresses", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("50"));
+
+            await masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, addr3.address);
+            await masternodeContract.connect(addr3).acceptRegistrationTransfer(addr1.address);
+
+            // The reward recipient was the old address itself, so it follows the registration; the withdrawal address doesn't change.
+            expect(await masternodeContract.rewardRecipient(addr3.address)).to.equal(addr3.address);
+            expect(await masternodeContract.withdrawalAddress(addr3.address)).to.equal(addr2.address);
+
+            await expect(
+                masternodeContract.connect(addr3).claimRewards()
+                ).to.changeEtherBalances([addr1, addr3], [0, ethers.parseEther("50")]);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
+        });
+
+        it("Should keep a withdrawal in progress", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).registerWithPayoutAddresses(addr1.address, addr2.address, { value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            mine(100000);
+
+            await masternodeContract.connect(addr2).startRegistrationTransfer(addr1.address, addr3.address);
+            await masternodeContract.connect(addr3).acceptRegistrationTransfer(addr1.address);
+
+            expect(await masternodeContract.registrationStatus(addr3.address)).to.equal(2);
+            expect(await masternodeContract.withdrawalDelay(addr3.address)).to.equal(100800);
+            expect(await masternodeContract.withdrawalDelay(addr1.address)).to.equal(0);
+
+            await expect(
+                masternodeContract.connect(addr3).completeWithdrawal()
+                ).to.be.revertedWithCustomError(masternodeContract, "WithdrawalDelayNotElapsed")
+                .withArgs(addr3.address, 797);
+
+            mine(800);
+
+            await expect(
+                masternodeContract.connect(addr3).completeWithdrawal()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("1000000"));
+        });
+    });
+
+    describe("Reward history", function () {
+        async function addRewards(masternodeContract, amount) {
+            const contractAddress = await masternodeContract.getAddress();
+
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + amount);
+        }
+
+        async function blockOf(txPromise) {
+            return (await (await txPromise).wait()).blockNumber;
+        }
+
+        it("Should record the total dividends by block", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const firstBlock = await blockOf(masternodeContract.connect(addr1).claimRewards());
+
+            await addRewards(masternodeContract, ethers.parseEther("60"));
+            await mine(5);
+
+            const secondBlock = await blockOf(masternodeContract.connect(addr2).claimRewards());
+
+            expect(await masternodeContract.totalDividendsAt(firstBlock - 1)).to.equal(0);
+            expect(await masternodeContract.totalDividendsAt(firstBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.totalDividendsAt(secondBlock - 1)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.totalDividendsAt(secondBlock)).to.equal(ethers.parseEther("80"));
+            expect(await masternodeContract.totalDividendsAt(secondBlock + 100)).to.equal(ethers.parseEther("80"));
+        });
+
+        it("Should compute the rewards earned over a block range, whether claimed or not", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const registrationBlock = await blockOf(masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") }));
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const firstBlock = await blockOf(masternodeContract.connect(addr1).claimRewards());
+
+            await addRewards(masternodeContract, ethers.parseEther("60"));
+
+            const secondBlock = await blockOf(masternodeContract.connect(addr1).claimRewards());
+
+            expect(await masternodeContract.rewardsEarnedAt(addr2.address, registrationBlock - 1)).to.equal(0);
+            expect(await masternodeContract.rewardsEarnedAt(addr2.address, firstBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.rewardsEarned(addr2.address, firstBlock, secondBlock)).to.equal(ethers.parseEther("30"));
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, secondBlock)).to.equal(ethers.parseEther("80"));
+
+            await expect(
+                masternodeContract.rewardsEarned(addr2.address, secondBlock, firstBlock)
+                ).to.be.revertedWith("Invalid block range");
+        });
+
+        it("Shouldn't count rewards while withdrawing", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const withdrawalBlock = await blockOf(masternodeContract.connect(addr1).startWithdrawal());
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+            await masternodeContract.connect(addr2).claimRewards();
+
+            const cancelBlock = await blockOf(masternodeContract.connect(addr1).cancelWithdrawal());
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const lastBlock = await blockOf(masternodeContract.connect(addr2).claimRewards());
+
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, withdrawalBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.rewardsEarned(addr1.address, withdrawalBlock, cancelBlock)).to.equal(0);
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, lastBlock)).to.equal(ethers.parseEther("100"));
+            expect(await masternodeContract.rewardsEarnedAt(addr2.address, lastBlock)).to.equal(ethers.parseEther("200"));
+        });
+
+        it("Shouldn't count forfeited rewards", async function () {
+            const [addr1, addr2] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            setBalance(addr1.address, ethers.parseEther("5000000"));
+            setBalance(addr2.address, ethers.parseEther("5000000"));
+
+            await masternodeContract.setHeartbeatWindow(10);
+            await masternodeContract.assignLegacyAccounts([]);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const heartbeatBlock = await blockOf(masternodeContract.connect(addr2).heartbeat());
+
+            await mine(10);
+
+            const inactiveBlock = await blockOf(masternodeContract.connect(addr2).markInactive(addr1.address));
+
+            // addr1's share was distributed before it was marked inactive, but it never got to keep it.
+            expect(await masternodeContract.totalDividendsAt(heartbeatBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, heartbeatBlock)).to.equal(0);
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, inactiveBlock)).to.equal(0);
+
+            // The forfeited share is redistributed to addr2 by its next claim.
+            const claimBlock = await blockOf(masternodeContract.connect(addr2).claimRewards());
+
+            expect(await masternodeContract.rewardsEarnedAt(addr2.address, claimBlock)).to.equal(ethers.parseEther("100"));
+
+            await masternodeContract.connect(addr1).heartbeat();
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const lastBlock = await blockOf(masternodeContract.connect(addr2).claimRewards());
+
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, lastBlock)).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should split the history of a transferred registration", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr3.address);
+
+            const transferBlock = await blockOf(masternodeContract.connect(addr3).acceptRegistrationTransfer(addr1.address));
+
+            await addRewards(masternodeContract, ethers.parseEther("100"));
+
+            const lastBlock = await blockOf(masternodeContract.connect(addr2).claimRewards());
+
+            // Rewards accrued before the transfer count for the old address, even though the new one claims them.
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, transferBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.rewardsEarnedAt(addr1.address, lastBlock)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.rewardsEarnedAt(addr3.address, transferBlock)).to.equal(0);
+            expect(await masternodeContract.rewardsEarnedAt(addr3.address, lastBlock)).to.equal(ethers.parseEther("50"));
+
+            expect(await masternodeContract.pendingRewards(addr3.address)).to.equal(ethers.parseEther("100"));
+        });
+    });
+
+    describe("Reward campaigns", function () {
+        async function mineToCampaignStart(masternodeContract, durationBlocks) {
+            // Mines blocks until a campaign funded in the next block with the given duration ends exactly on a period boundary, so that it isn't extended.
+            const period = await masternodeContract.CAMPAIGN_PERIOD();
+            const endBlock = BigInt(await ethers.provider.getBlockNumber()) + 1n + BigInt(durationBlocks);
+
+            await mine((period - endBlock % period) % period);
+        }
+
+        it("Should only accept campaigns within the limits", async function () {
+            const { masternodeContract, addr3 } = await loadFixture(deployTokenFixture);
+
+            await expect(
+                masternodeContract.connect(addr3).fundRewards(100, { value: ethers.parseEther("999") })
+                ).to.be.revertedWith("Campaign amount too low");
+
+            await expect(
+                masternodeContract.connect(addr3).fundRewards(0, { value: ethers.parseEther("1000") })
+                ).to.be.revertedWith("Invalid campaign duration");
+
+            await expect(
+                masternodeContract.connect(addr3).fundRewards(2_000_001, { value: ethers.parseEther("1000") })
+                ).to.be.revertedWith("Invalid campaign duration");
+        });
+
+        it("Should release the funds linearly over the campaign", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+            const contractAddress = await masternodeContract.getAddress();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            // Rewards that arrived before the campaign are distributed when it is funded.
+            await setBalance(contractAddress, (await ethers.provider.getBalance(contractAddress)) + ethers.parseEther("10"));
+
+            await mineToCampaignStart(masternodeContract, 100);
+
+            const tx = masternodeContract.connect(addr3).fundRewards(100, { value: ethers.parseEther("1000") });
+            const startBlock = (await (await tx).wait()).blockNumber;
+
+            await expect(tx).to.emit(masternodeContract, "RewardsFunded")
+                .withArgs(0, addr3.address, ethers.parseEther("1000"), startBlock, startBlock + 100);
+
+            expect(await masternodeContract.totalDividends()).to.equal(ethers.parseEther("5"));
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(ethers.parseEther("1000"));
+
+            await mine(49);
+
+            // Claiming halfway through only pays out the half that has been released.
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("255"));
+
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("255"));
+            expect(await pendingRewards(masternodeContract, addr2.address)).to.equal(ethers.parseEther("255"));
+
+            await mine(100);
+
+            await expect(
+                masternodeContract.connect(addr2).claimRewards()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("505"));
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("250"));
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(0);
+            expect(await ethers.provider.getBalance(contractAddress)).to.equal(ethers.parseEther("2000000"));
+        });
+
+        it("Should combine overlapping campaigns into one release rate", async function () {
+            const { masternodeContract, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+            const period = await masternodeContract.CAMPAIGN_PERIOD();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            // The first campaign releases 1 STRAX per block until the period after the second one, which releases 100 STRAX per block.
+            await mineToCampaignStart(masternodeContract, 11);
+
+            const firstBlock = (await (await masternodeContract.connect(addr3).fundRewards(period + 11n, { value: ethers.parseEther("5411") })).wait()).blockNumber;
+            const secondTx = masternodeContract.connect(addr2).fundRewards(10, { value: ethers.parseEther("1000") });
+
+            await expect(secondTx).to.emit(masternodeContract, "RewardsFunded")
+                .withArgs(1, addr2.address, ethers.parseEther("1000"), firstBlock + 1, firstBlock + 11);
+
+            await mine(3);
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(ethers.parseEther("5411") - ethers.parseEther("4") + ethers.parseEther("1000") - ethers.parseEther("300"));
+
+            // The second campaign ends without any transaction at its end block.
+            await mine(20);
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(ethers.parseEther("5411") - ethers.parseEther("24"));
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(ethers.parseEther("1024"));
+
+            await mine(period);
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(0);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("6411"));
+
+            expect((await masternodeContract.campaigns(0)).endBlock).to.equal(BigInt(firstBlock) + period + 11n);
+        });
+
+        it("Should round the end of a campaign up to the next period", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+            const period = await masternodeContract.CAMPAIGN_PERIOD();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            const tx = masternodeContract.connect(addr3).fundRewards(100, { value: ethers.parseEther("1000") });
+            const startBlock = BigInt((await (await tx).wait()).blockNumber);
+            const endBlock = (startBlock + 100n + period - 1n) / period * period;
+
+            await expect(tx).to.emit(masternodeContract, "RewardsFunded")
+                .withArgs(0, addr3.address, ethers.parseEther("1000"), startBlock, endBlock);
+
+            // The remainder of dividing the amount by the number of blocks is released straight away.
+            const rate = ethers.parseEther("1000") / (endBlock - startBlock);
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(rate * (endBlock - startBlock));
+        });
+
+        it("Shouldn't limit the number of campaigns", async function () {
+            const { masternodeContract, addr1, addr3 } = await loadFixture(deployTokenFixture);
+            const period = await masternodeContract.CAMPAIGN_PERIOD();
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await mineToCampaignStart(masternodeContract, 1000);
+
+            for (let i = 0; i < 20; i++) {
+                // Each campaign ends in a different period.
+                await masternodeContract.connect(addr3).fundRewards(period * BigInt(i) + 1000n - BigInt(i), { value: ethers.parseEther("1000") });
+            }
+
+            await mine(period * 20n);
+
+            expect(await masternodeContract.lockedCampaignAmount()).to.equal(0);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("20000"));
+        });
+    });
+
+    describe("Token collateral", function () {
+        async function deployTokenCollateralFixture() {
+            const [addr1, addr2, addr3, addrLegacy] = await ethers.getSigners();
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+            const collateralToken = await ethers.deployContract("WrappedStraxMock");
+            const address = await masternodeContract.getAddress();
+
+            for (const signer of [addr1, addr2, addr3, addrLegacy]) {
+                await setBalance(signer.address, ethers.parseEther("5000000"));
+                await collateralToken.connect(signer).deposit({ value: ethers.parseEther("2000000") });
+                await collateralToken.connect(signer).approve(address, ethers.MaxUint256);
+            }
+
+            await masternodeContract.setCollateralToken(await collateralToken.getAddress());
+            await masternodeContract.assignLegacyAccounts([addrLegacy]);
+
+            return { masternodeContract, collateralToken, address, addr1, addr2, addr3, addrLegacy };
+        }
+
+        async function addRewards(address, amount) {
+            await setBalance(address, (await ethers.provider.getBalance(address)) + amount);
+        }
+
+        // Native collateral and rewards are accounted for in the native balance, token collateral only in the token balance.
+        async function expectBalances(masternodeContract, collateralToken, { undistributed = 0n } = {}) {
+            const address = await masternodeContract.getAddress();
+
+            expect(await ethers.provider.getBalance(address)).to.equal(
+                await masternodeContract.totalCollateralAmount()
+                + await masternodeContract.withdrawingCollateralAmount()
+                + await masternodeContract.lastBalance()
+                + undistributed);
+
+            expect(await collateralToken.balanceOf(address)).to.equal(await masternodeContract.tokenCollateralAmount());
+        }
+
+        it("Should only be possible once a collateral token is set", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(deployTokenFixture);
+
+            expect(await masternodeContract.collateralToken()).to.equal(ethers.ZeroAddress);
+
+            await expect(
+                masternodeContract.connect(addr1).registerWithToken(addr1.address, addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "TokenCollateralNotEnabled");
+
+            await expect(
+                masternodeContract.setCollateralToken(addr1.address)
+                ).to.be.revertedWith("Collateral token can only be set before initialization");
+        });
+
+        it("Should take the applicable collateral amount in the token", async function () {
+            const { masternodeContract, collateralToken, address, addr1, addr2, addrLegacy } = await loadFixture(deployTokenCollateralFixture);
+
+            const tx = masternodeContract.connect(addr1).registerWithToken(addr1.address, addr2.address);
+
+            await expect(tx).to.emit(masternodeContract, "TokenCollateralPosted")
+                .withArgs(addr1.address, await collateralToken.getAddress(), ethers.parseEther("1000000"));
+            await expect(tx).to.changeTokenBalances(collateralToken, [addr1, address], [-ethers.parseEther("1000000"), ethers.parseEther("1000000")]);
+
+            await expect(
+                masternodeContract.connect(addrLegacy).registerWithToken(addrLegacy.address, addrLegacy.address)
+                ).to.changeTokenBalance(collateralToken, addrLegacy, -ethers.parseEther("100000"));
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(1);
+            expect(await masternodeContract.tokenCollateral(addr1.address)).to.equal(true);
+            expect(await masternodeContract.collateral(addr1.address)).to.equal(ethers.parseEther("1000000"));
+            expect(await masternodeContract.collateral(addrLegacy.address)).to.equal(ethers.parseEther("100000"));
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr2.address);
+            expect(await masternodeContract.totalRegistrations()).to.equal(2);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(0);
+            expect(await masternodeContract.tokenCollateralAmount()).to.equal(ethers.parseEther("1100000"));
+
+            await expect(
+                masternodeContract.connect(addr1).registerWithToken(addr1.address, addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountAlreadyRegistered")
+                .withArgs(addr1.address, 1);
+
+            await collateralToken.connect(addr2).approve(address, 0);
+
+            await expect(
+                masternodeContract.connect(addr2).registerWithToken(addr2.address, addr2.address)
+                ).to.be.revertedWithCustomError(collateralToken, "ERC20InsufficientAllowance");
+        });
+
+        it("Should share the rewards equally with native registrations", async function () {
+            const { masternodeContract, collateralToken, address, addr1, addr2, addr3 } = await loadFixture(deployTokenCollateralFixture);
+
+            await masternodeContract.connect(addr1).registerWithToken(addr1.address, addr1.address);
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await addRewards(address, ethers.parseEther("100"));
+
+            expect(await masternodeContract.pendingRewards(addr1.address)).to.equal(ethers.parseEther("50"));
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("50"));
+
+            // Rewards are paid in native STRAX either way.
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, ethers.parseEther("50"));
+
+            await masternodeContract.connect(addr3).registerWithToken(addr3.address, addr3.address);
+
+            await addRewards(address, ethers.parseEther("30") + 1n);
+            await masternodeContract.connect(addr3).claimRewards();
+
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("60"));
+
+            await expectBalances(masternodeContract, collateralToken, { undistributed: 1n });
+        });
+
+        it("Should return the collateral in the token", async function () {
+            const { masternodeContract, collateralToken, address, addr1, addr2, addr3 } = await loadFixture(deployTokenCollateralFixture);
+
+            await masternodeContract.connect(addr1).registerWithToken(addr1.address, addr3.address);
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            // The token collateral stays where it is while withdrawing, and doesn't affect the native rewards.
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(0);
+            expect(await masternodeContract.tokenCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            await addRewards(address, ethers.parseEther("100"));
+
+            expect(await masternodeContract.pendingRewards(addr2.address)).to.equal(ethers.parseEther("100"));
+
+            await masternodeContract.connect(addr1).cancelWithdrawal();
+            await masternodeContract.connect(addr1).startWithdrawal();
+
+            await expect(
+                masternodeContract.connect(addr3).completeWithdrawalEarly(addr1.address)
+                ).to.be.revertedWithCustomError(masternodeContract, "TokenCollateralNotAllowed")
+                .withArgs(addr1.address);
+
+            mine(100800);
+
+            const tx = masternodeContract.connect(addr1).completeWithdrawal();
+
+            await expect(tx).to.emit(masternodeContract, "WithdrawalCompleted")
+                .withArgs(addr1.address, ethers.parseEther("1000000"));
+            await expect(tx).to.changeTokenBalances(collateralToken, [addr3, address], [ethers.parseEther("1000000"), -ethers.parseEther("1000000")]);
+            await expect(tx).to.changeEtherBalances([addr3, address], [0, 0]);
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(0);
+            expect(await masternodeContract.tokenCollateral(addr1.address)).to.equal(false);
+            expect(await masternodeContract.tokenCollateralAmount()).to.equal(0);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+
+            await expectBalances(masternodeContract, collateralToken);
+
+            // The account can come back with native collateral.
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            expect(await masternodeContract.tokenCollateral(addr1.address)).to.equal(false);
+        });
+
+        it("Should keep the collateral token through a registration transfer", async function () {
+            const { masternodeContract, collateralToken, addr1, addr2 } = await loadFixture(deployTokenCollateralFixture);
+
+            await masternodeContract.connect(addr1).registerWithToken(addr1.address, addr1.address);
+            await masternodeContract.connect(addr1).startRegistrationTransfer(addr1.address, addr2.address);
+            await masternodeContract.connect(addr2).acceptRegistrationTransfer(addr1.address);
+
+            expect(await masternodeContract.tokenCollateral(addr1.address)).to.equal(false);
+            expect(await masternodeContract.tokenCollateral(addr2.address)).to.equal(true);
+
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawal()
+                ).to.changeTokenBalance(collateralToken, addr2, ethers.parseEther("1000000"));
+
+            await expectBalances(masternodeContract, collateralToken);
+        });
+    });
+
     describe("Legacy collateral", function () {
         it("Shouldn't work for legacy account with no collateral", async function () {
             const { masternodeContract, addrLegacy } = await loadFixture(deployTokenFixture);
 
             await expect(
                 masternodeContract.connect(addrLegacy).register()
-                ).to.be.revertedWith("Incorrect collateral amount for legacy node");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("100000"), 0, true);
 
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -448,7 +2610,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("99999") })
-                ).to.be.revertedWith("Incorrect collateral amount for legacy node");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("100000"), ethers.parseEther("99999"), true);
 
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -458,7 +2621,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100001") })
-                ).to.be.revertedWith("Incorrect collateral amount for legacy node");
+                ).to.be.revertedWithCustomError(masternodeContract, "IncorrectCollateralAmount")
+                .withArgs(ethers.parseEther("100000"), ethers.parseEther("100001"), true);
 
             expect(await masternodeContract.totalRegistrations()).to.equal(0);
         });
@@ -495,7 +2659,8 @@ describe("Masternode staking contract", function () {
 
             await expect(
                 masternodeContract.connect(addrLegacy).register({ value: ethers.parseEther("100000") })
-                ).to.be.revertedWith("Account already registered");
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountAlreadyRegistered")
+                .withArgs(addrLegacy.address, 1);
 
             // Shouldn't have affected registration status; the account was registered already.
             expect(await masternodeContract.registrationStatus(addrLegacy.address)).to.equal(1);
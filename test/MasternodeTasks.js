@@ -0,0 +1,513 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, run, stratis } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    reset,
+    setBalance,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Masternode tasks", function () {
+    async function genesisContractFixture() {
+        // The genesis contract is shared by every test file, so start from a fresh chain.
+        await reset();
+
+        const [addr1, addr2, addrLegacy] = await ethers.getSigners();
+
+        const masternodeContract = await stratis.getMasternodeContract();
+
+        setBalance(addr1.address, ethers.parseEther("5000000"));
+        setBalance(addr2.address, ethers.parseEther("5000000"));
+        setBalance(addrLegacy.address, ethers.parseEther("5000000"));
+
+        await masternodeContract.assignLegacyAccounts([addrLegacy]);
+
+        return { masternodeContract, addr1, addr2, addrLegacy };
+    }
+
+    // Runs a task with its console output captured instead of printed.
+    async function runTask(name, args = {}) {
+        const log = console.log;
+        const output = [];
+
+        console.log = (...line) => output.push(line.join(" "));
+
+        try {
+            const result = await run(name, args);
+            return { result, output: output.join("\n") };
+        } finally {
+            console.log = log;
+        }
+    }
+
+    describe("masternode:register", function () {
+        it("Should register with the regular collateral", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            const { output } = await runTask("masternode:register", { from: addr1.address });
+
+            expect(output).to.contain("1000000.0 STRAX collateral");
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(1);
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("1000000"));
+        });
+
+        it("Should register with the legacy collateral for a legacy account", async function () {
+            const { masternodeContract, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            const { output } = await runTask("masternode:register", { from: addrLegacy.address });
+
+            expect(output).to.contain("100000.0 STRAX (legacy) collateral");
+            expect(await masternodeContract.totalCollateralAmount()).to.equal(ethers.parseEther("100000"));
+        });
+
+        it("Shouldn't send a transaction for an already registered account", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            await expect(
+                runTask("masternode:register", { from: addr1.address })
+                ).to.be.rejectedWith("Account already registered (status REGISTERED)");
+
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it("Shouldn't send a transaction without enough balance for the collateral", async function () {
+            const { addr2 } = await loadFixture(genesisContractFixture);
+
+            await setBalance(addr2.address, ethers.parseEther("999999"));
+
+            await expect(
+                runTask("masternode:register", { from: addr2.address })
+                ).to.be.rejectedWith("Insufficient balance for the collateral amount");
+        });
+
+        it("Should register with separate payout addresses", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            const { output } = await runTask("masternode:register", { from: addr1.address, withdrawalAddress: addr2.address });
+
+            expect(output).to.contain(`Rewards are paid to ${addr1.address}, collateral is returned to ${addr2.address}`);
+            expect(await masternodeContract.rewardRecipient(addr1.address)).to.equal(addr1.address);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr2.address);
+
+            const { output: status } = await runTask("masternode:status", { account: addr1.address });
+
+            expect(status).to.contain(`Withdrawal address: ${addr2.address}`);
+        });
+
+        it("Should approve and register with the collateral token", async function () {
+            const { addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+            const collateralToken = await ethers.deployContract("WrappedStraxMock");
+            const contract = await masternodeContract.getAddress();
+
+            await expect(
+                runTask("masternode:register", { from: addr1.address, contract, token: true })
+                ).to.be.rejectedWith("Token collateral is not enabled");
+
+            await masternodeContract.setCollateralToken(await collateralToken.getAddress());
+            await masternodeContract.assignLegacyAccounts([]);
+            await collateralToken.connect(addr1).deposit({ value: ethers.parseEther("999999") });
+
+            await expect(
+                runTask("masternode:register", { from: addr1.address, contract, token: true })
+                ).to.be.rejectedWith("Insufficient balance for the collateral amount");
+
+            await collateralToken.connect(addr1).deposit({ value: ethers.parseEther("1") });
+
+            const { output } = await runTask("masternode:register", { from: addr1.address, contract, token: true, withdrawalAddress: addr2.address });
+
+            expect(output).to.contain("Token approval transaction");
+            expect(output).to.contain(`1000000.0 STRAX collateral in token ${await collateralToken.getAddress()}`);
+            expect(await masternodeContract.tokenCollateral(addr1.address)).to.equal(true);
+            expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr2.address);
+            expect(await collateralToken.balanceOf(contract)).to.equal(ethers.parseEther("1000000"));
+
+            const { output: status } = await runTask("masternode:status", { account: addr1.address, contract });
+
+            expect(status).to.contain("1000000.0 STRAX (token)");
+        });
+
+        it("Should use an explicitly given contract address", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+            await runTask("masternode:register", { from: addr1.address, contract: await masternodeContract.getAddress() });
+
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(1);
+        });
+    });
+
+    describe("masternode:claim", function () {
+        it("Shouldn't send a transaction if not registered", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await expect(
+                runTask("masternode:claim", { from: addr1.address })
+                ).to.be.rejectedWith("Account not registered (status UNREGISTERED)");
+        });
+
+        it("Should claim the accrued rewards", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+            await masternodeContract.connect(addr1).claimRewards();
+
+            await mine(9);
+
+            const balanceBefore = await ethers.provider.getBalance(addr1.address);
+
+            const { result: receipt } = await runTask("masternode:claim", { from: addr1.address });
+
+            const gasCost = receipt.gasUsed * receipt.gasPrice;
+
+            expect(await ethers.provider.getBalance(addr1.address)).to.equal(balanceBefore + 10n * stratis.blockReward - gasCost);
+        });
+    });
+
+    describe("masternode:heartbeat", function () {
+        it("Shouldn't send a transaction if not registered", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await expect(
+                runTask("masternode:heartbeat", { from: addr1.address })
+                ).to.be.rejectedWith("Account not registered (status UNREGISTERED)");
+        });
+
+        it("Should report the heartbeat deadline and reactivate an inactive account", async function () {
+            const { addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+            const contract = await masternodeContract.getAddress();
+
+            await masternodeContract.setHeartbeatWindow(10);
+            await masternodeContract.assignLegacyAccounts([]);
+
+            const { result: receipt } = await runTask("masternode:register", { from: addr1.address, contract });
+
+            let { result: info, output } = await runTask("masternode:status", { from: addr1.address, contract });
+
+            expect(info.heartbeatDeadlineBlock).to.equal(BigInt(receipt.blockNumber + 10));
+            expect(output).to.contain(`next due by block ${receipt.blockNumber + 10}`);
+
+            await mine(10);
+            await masternodeContract.connect(addr2).markInactive(addr1.address);
+
+            ({ result: info, output } = await runTask("masternode:status", { from: addr1.address, contract }));
+
+            expect(info.inactive).to.equal(true);
+            expect(info.heartbeatDeadlineBlock).to.equal(undefined);
+            expect(output).to.contain(`inactive since missing the heartbeat after block ${receipt.blockNumber}`);
+
+            ({ output } = await runTask("masternode:heartbeat", { from: addr1.address, contract }));
+
+            expect(output).to.contain(`Reactivating ${addr1.address}`);
+            expect(await masternodeContract.inactive(addr1.address)).to.equal(false);
+        });
+    });
+
+    describe("masternode:withdraw", function () {
+        it("Shouldn't start a withdrawal if not registered", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await expect(
+                runTask("masternode:withdraw:start", { from: addr1.address })
+                ).to.be.rejectedWith("Account not registered");
+        });
+
+        it("Should report when the collateral becomes available", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+
+            const { result: receipt, output } = await runTask("masternode:withdraw:start", { from: addr1.address });
+
+            expect(output).to.contain(`Collateral can be withdrawn from block ${receipt.blockNumber + 100800}`);
+            expect(await masternodeContract.registrationStatus(addr1.address)).to.equal(2);
+        });
+
+        it("Should cancel a withdrawal in progress", async function () {
+            const { masternodeContract, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            await expect(
+                runTask("masternode:withdraw:cancel", { from: addrLegacy.address })
+                ).to.be.rejectedWith("Account has not started the withdrawal process (status UNREGISTERED)");
+
+            await runTask("masternode:register", { from: addrLegacy.address });
+            await runTask("masternode:withdraw:start", { from: addrLegacy.address });
+            await runTask("masternode:withdraw:cancel", { from: addrLegacy.address });
+
+            expect(await masternodeContract.registrationStatus(addrLegacy.address)).to.equal(1);
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(true);
+        });
+
+        it("Shouldn't complete a withdrawal that was not started", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await expect(
+                runTask("masternode:withdraw:complete", { from: addr1.address })
+                ).to.be.rejectedWith("Account has not started the withdrawal process");
+        });
+
+        it("Shouldn't complete a withdrawal before the delay has elapsed", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+            await runTask("masternode:withdraw:start", { from: addr1.address });
+
+            await mine(100800 - 10);
+
+            // The completing transaction would be mined in the next block, 9 blocks too early.
+            await expect(
+                runTask("masternode:withdraw:complete", { from: addr1.address })
+                ).to.be.rejectedWith("Withdrawal delay has not yet elapsed: 9 blocks remaining");
+        });
+
+        it("Should complete a withdrawal once the delay has elapsed", async function () {
+            const { masternodeContract, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addrLegacy.address });
+            await runTask("masternode:withdraw:start", { from: addrLegacy.address });
+
+            await mine(100800 - 1);
+
+            const { output } = await runTask("masternode:withdraw:complete", { from: addrLegacy.address });
+
+            expect(output).to.contain("Withdrawing 100000.0 STRAX collateral");
+            expect(await masternodeContract.registrationStatus(addrLegacy.address)).to.equal(0);
+            expect(await masternodeContract.withdrawingCollateralAmount()).to.equal(0);
+        });
+    });
+
+    describe("masternode:transfer", function () {
+        it("Shouldn't start a transfer from an address other than the withdrawal address", async function () {
+            const { addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+
+            await expect(
+                runTask("masternode:transfer:start", { from: addr2.address, masternode: addr1.address, to: addr2.address })
+                ).to.be.rejectedWith(`Caller is not the withdrawal address ${addr1.address}`);
+
+            await expect(
+                runTask("masternode:transfer:start", { from: addr1.address, to: addr1.address })
+                ).to.be.rejectedWith("Invalid transfer address");
+        });
+
+        it("Should move the registration once accepted", async function () {
+            const { masternodeContract, addr2, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addrLegacy.address });
+
+            await expect(
+                runTask("masternode:transfer:accept", { from: addr2.address, masternode: addrLegacy.address })
+                ).to.be.rejectedWith(`No pending registration transfer to ${addr2.address}`);
+
+            await runTask("masternode:transfer:start", { from: addrLegacy.address, to: addr2.address.toLowerCase() });
+
+            const { output: status } = await runTask("masternode:status", { account: addrLegacy.address });
+
+            expect(status).to.contain(`pending acceptance by ${addr2.address}`);
+
+            const { output } = await runTask("masternode:transfer:accept", { from: addr2.address, masternode: addrLegacy.address });
+
+            expect(output).to.contain("100000.0 STRAX (legacy) collateral");
+            expect(await masternodeContract.registrationStatus(addr2.address)).to.equal(1);
+            expect(await masternodeContract.registrationStatus(addrLegacy.address)).to.equal(0);
+            expect(await masternodeContract.legacy(addr2.address)).to.equal(true);
+        });
+
+        it("Should cancel a pending transfer", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+
+            await expect(
+                runTask("masternode:transfer:cancel", { from: addr1.address })
+                ).to.be.rejectedWith("No pending registration transfer");
+
+            await runTask("masternode:transfer:start", { from: addr1.address, to: addr2.address });
+            await runTask("masternode:transfer:cancel", { from: addr1.address });
+
+            expect(await masternodeContract.pendingRegistrationTransfer(addr1.address)).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("masternode:rewards", function () {
+        function timestamp(date) {
+            return Date.parse(date) / 1000;
+        }
+
+        // Registers addr1 in January 2030 and claims once in January and once in February.
+        async function rewardHistoryFixture() {
+            const { masternodeContract, addr1, addr2 } = await genesisContractFixture();
+
+            await time.setNextBlockTimestamp(timestamp("2030-01-01T12:00:00Z"));
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            await time.setNextBlockTimestamp(timestamp("2030-01-15T00:00:00Z"));
+            const january = await (await masternodeContract.connect(addr1).claimRewards()).wait();
+
+            await time.setNextBlockTimestamp(timestamp("2030-02-10T00:00:00Z"));
+            const february = await (await masternodeContract.connect(addr1).claimRewards()).wait();
+
+            await time.increaseTo(timestamp("2030-03-05T00:00:00Z"));
+
+            return { masternodeContract, addr1, addr2, january, february };
+        }
+
+        async function claimedAmount(masternodeContract, receipt) {
+            const [log] = await masternodeContract.queryFilter(masternodeContract.filters.RewardsClaimed(), receipt.blockNumber, receipt.blockNumber);
+
+            return log.args._amount;
+        }
+
+        it("Should export the rewards earned per month", async function () {
+            const { masternodeContract, addr1, january, february } = await loadFixture(rewardHistoryFixture);
+
+            const { result: rows, output } = await runTask("masternode:rewards", { from: addr1.address, start: "2030-01-01", end: "2030-03-01" });
+
+            // A single registered account earns everything it claims, in the block it claims it.
+            expect(rows.map((row) => row.rewards)).to.deep.equal([
+                await claimedAmount(masternodeContract, january),
+                await claimedAmount(masternodeContract, february),
+            ]);
+            expect(rows[0].toBlock).to.equal(february.blockNumber - 1);
+            expect(rows[1].fromBlock).to.equal(february.blockNumber);
+
+            const lines = output.split("\n");
+
+            expect(lines[0]).to.equal("period_start,period_end,from_block,to_block,rewards_wei,rewards_strax");
+            expect(lines[1]).to.match(/^2030-01-01T00:00:00.000Z,2030-02-01T00:00:00.000Z,/);
+            expect(lines).to.have.lengthOf(3);
+        });
+
+        it("Should report no rewards for days without distributions", async function () {
+            const { addr1, addr2 } = await loadFixture(rewardHistoryFixture);
+
+            const { result: rows } = await runTask("masternode:rewards", { from: addr1.address, start: "2030-01-14T12:00:00Z", end: "2030-01-17", period: "day" });
+
+            expect(rows.map((row) => row.periodStart.toISOString())).to.deep.equal([
+                "2030-01-14T12:00:00.000Z",
+                "2030-01-15T00:00:00.000Z",
+                "2030-01-16T00:00:00.000Z",
+            ]);
+            expect(rows[0].rewards).to.equal(0);
+            expect(rows[1].rewards).to.be.greaterThan(0);
+            expect(rows[2].rewards).to.equal(0);
+
+            const { result: unregistered } = await runTask("masternode:rewards", { account: addr2.address, start: "2030-01-01", end: "2030-03-01", period: "year" });
+
+            expect(unregistered).to.have.lengthOf(1);
+            expect(unregistered[0].rewards).to.equal(0);
+        });
+
+        it("Should export the individual claims to a file", async function () {
+            const { masternodeContract, addr1, january, february } = await loadFixture(rewardHistoryFixture);
+            const output = path.join(os.tmpdir(), `claims-${process.pid}.csv`);
+
+            try {
+                await runTask("masternode:rewards", { from: addr1.address, start: "2030-01-01", end: "2030-02-10", claims: true, output });
+
+                const lines = fs.readFileSync(output, "utf8").trimEnd().split("\n");
+
+                // The February claim is at the end of the range, which is exclusive.
+                expect(lines).to.deep.equal([
+                    "timestamp,block,transaction,amount_wei,amount_strax",
+                    `2030-01-15T00:00:00.000Z,${january.blockNumber},${january.hash},${await claimedAmount(masternodeContract, january)},${ethers.formatEther(await claimedAmount(masternodeContract, january))}`,
+                ]);
+            } finally {
+                fs.rmSync(output, { force: true });
+            }
+
+            const { result: claims } = await runTask("masternode:rewards", { from: addr1.address, start: "2030-01-01", claims: true });
+
+            expect(claims.map((claim) => claim.blockNumber)).to.deep.equal([january.blockNumber, february.blockNumber]);
+        });
+
+        it("Shouldn't accept an invalid range", async function () {
+            const { addr1 } = await loadFixture(rewardHistoryFixture);
+
+            await expect(
+                runTask("masternode:rewards", { from: addr1.address, start: "January" })
+                ).to.be.rejectedWith("Invalid start date January");
+
+            await expect(
+                runTask("masternode:rewards", { from: addr1.address, start: "2030-02-01", end: "2030-01-01" })
+                ).to.be.rejectedWith("The start of the range must be before its end");
+
+            await expect(
+                runTask("masternode:rewards", { from: addr1.address, start: "2030-01-01", period: "week" })
+                ).to.be.rejectedWith("Unknown period week");
+        });
+    });
+
+    describe("masternode:list", function () {
+        it("Should list registered and withdrawing accounts across pages", async function () {
+            const { addr1, addr2, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+            await runTask("masternode:register", { from: addrLegacy.address });
+            await runTask("masternode:register", { from: addr2.address });
+            await runTask("masternode:withdraw:start", { from: addrLegacy.address });
+
+            const { result: masternodes, output } = await runTask("masternode:list", { pageSize: 2 });
+
+            expect(masternodes.map((masternode) => masternode.account)).to.deep.equal([addr1.address, addrLegacy.address, addr2.address]);
+            expect(masternodes.map((masternode) => masternode.statusName)).to.deep.equal(["REGISTERED", "WITHDRAWING", "REGISTERED"]);
+            expect(masternodes[1].legacy).to.equal(true);
+            expect(output).to.contain("3 masternodes");
+        });
+    });
+
+    describe("masternode:status", function () {
+        it("Should report an unregistered legacy account", async function () {
+            const { addrLegacy } = await loadFixture(genesisContractFixture);
+
+            const { result: info, output } = await runTask("masternode:status", { account: addrLegacy.address });
+
+            expect(info.statusName).to.equal("UNREGISTERED");
+            expect(info.legacy).to.equal(true);
+            expect(info.collateral).to.equal(ethers.parseEther("100000"));
+            expect(output).to.contain("Status:             UNREGISTERED");
+        });
+
+        it("Should report the remaining withdrawal delay", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+            const { result: receipt } = await runTask("masternode:withdraw:start", { from: addr1.address });
+
+            await mine(100);
+
+            const { result: info, output } = await runTask("masternode:status", { from: addr1.address });
+
+            expect(info.statusName).to.equal("WITHDRAWING");
+            expect(info.withdrawalAvailableBlock).to.equal(BigInt(receipt.blockNumber + 100800));
+            expect(info.withdrawalBlocksRemaining).to.equal(100800n - 101n);
+            expect(output).to.contain(`(${100800 - 101} blocks remaining)`);
+        });
+
+        it("Should print JSON", async function () {
+            const { addr1 } = await loadFixture(genesisContractFixture);
+
+            await runTask("masternode:register", { from: addr1.address });
+
+            const { output } = await runTask("masternode:status", { account: addr1.address, json: true });
+
+            const info = JSON.parse(output);
+
+            expect(info.statusName).to.equal("REGISTERED");
+            expect(info.collateral).to.equal(ethers.parseEther("1000000").toString());
+        });
+    });
+});
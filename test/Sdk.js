@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { MasternodeClient, MasternodeError, NodeState, abi } = require("../sdk");
+const { callOrDefault } = require("../sdk/rewards");
+
+describe("SDK", function () {
+    async function deploySdkFixture() {
+        const [owner, addr1, addr2, addr3, addrLegacy] = await ethers.getSigners();
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+
+        await masternodeContract.waitForDeployment();
+
+        for (const signer of [addr1, addr2, addr3, addrLegacy]) {
+            await setBalance(signer.address, ethers.parseEther("2000000"));
+        }
+
+        await masternodeContract.setHeartbeatWindow(20);
+        await masternodeContract.assignLegacyAccounts([addrLegacy.address]);
+
+        const address = await masternodeContract.getAddress();
+        const client = (signer) => new MasternodeClient(signer, address);
+
+        return { masternodeContract, address, client, owner, addr1, addr2, addr3, addrLegacy };
+    }
+
+    async function addRewards(address, amount) {
+        await setBalance(address, (await ethers.provider.getBalance(address)) + amount);
+    }
+
+    it("Should ship the contract's current ABI", async function () {
+        const artifact = await artifacts.readArtifact("MasternodeStakingContract");
+
+        // Run 'npx hardhat sdk:abi' after changing the contract's interface.
+        expect(abi).to.deep.equal(artifact.abi);
+    });
+
+    it("Should register with the collateral that applies to the account", async function () {
+        const { masternodeContract, client, addr1, addr2, addrLegacy } = await loadFixture(deploySdkFixture);
+
+        expect((await client(addr1).getNodeInfo()).collateral).to.equal(ethers.parseEther("1000000"));
+        expect((await client(addrLegacy).getNodeInfo()).collateral).to.equal(ethers.parseEther("100000"));
+
+        await expect(
+            client(addrLegacy).register()
+            ).to.changeEtherBalance(addrLegacy, -ethers.parseEther("100000"));
+
+        await (await client(addr1).register({ withdrawalAddress: addr2.address })).wait();
+
+        expect(await masternodeContract.collateral(addrLegacy.address)).to.equal(ethers.parseEther("100000"));
+        expect(await masternodeContract.rewardRecipient(addr1.address)).to.equal(addr1.address);
+        expect(await masternodeContract.withdrawalAddress(addr1.address)).to.equal(addr2.address);
+    });
+
+    it("Should approve and register with token collateral", async function () {
+        const { client, addr1, addr2 } = await loadFixture(deploySdkFixture);
+
+        // The fixture's contract is already initialized without a collateral token.
+        await expect(
+            client(addr1).registerWithToken()
+            ).to.be.rejectedWith(MasternodeError, "Token collateral is not enabled");
+
+        const masternodeContract = await ethers.deployContract("MasternodeStakingContract");
+        const collateralToken = await ethers.deployContract("WrappedStraxMock");
+        const address = await masternodeContract.getAddress();
+
+        await masternodeContract.setCollateralToken(await collateralToken.getAddress());
+        await masternodeContract.assignLegacyAccounts([]);
+        await collateralToken.connect(addr1).deposit({ value: ethers.parseEther("1000000") });
+
+        const node = new MasternodeClient(addr1, address);
+
+        await expect(
+            node.registerWithToken({ withdrawalAddress: addr2.address })
+            ).to.changeTokenBalances(collateralToken, [addr1, address], [-ethers.parseEther("1000000"), ethers.parseEther("1000000")]);
+
+        const info = await node.getNodeInfo();
+
+        expect(info.state).to.equal(NodeState.ACTIVE);
+        expect(info.tokenCollateral).to.equal(true);
+        expect(info.withdrawalAddress).to.equal(addr2.address);
+        expect(await collateralToken.allowance(addr1.address, address)).to.equal(0);
+    });
+
+    it("Should report the state of the node through its lifecycle", async function () {
+        const { client, owner, addr1, addr3 } = await loadFixture(deploySdkFixture);
+        const node = client(addr1);
+
+        expect((await node.getNodeInfo()).state).to.equal(NodeState.UNREGISTERED);
+
+        await (await node.register()).wait();
+
+        let info = await node.getNodeInfo();
+
+        expect(info.statusName).to.equal("REGISTERED");
+        expect(info.state).to.equal(NodeState.ACTIVE);
+
+        await mine(20);
+        await (await client(addr3).contract.markInactive(addr1.address)).wait();
+
+        // A read-only client has to be told which account to look up. A signer stands for its address.
+        expect((await client(ethers.provider).getNodeInfo(addr1.address)).state).to.equal(NodeState.INACTIVE);
+        expect((await client(ethers.provider).getNodeInfo(addr1)).account).to.equal(addr1.address);
+
+        await (await node.heartbeat()).wait();
+        await (await node.startWithdrawal()).wait();
+
+        info = await node.getNodeInfo();
+
+        expect(info.state).to.equal(NodeState.WITHDRAWING);
+        expect(info.withdrawalBlocksRemaining).to.equal(100800n - 1n);
+
+        await mine(info.withdrawalBlocksRemaining);
+
+        expect((await node.getNodeInfo()).state).to.equal(NodeState.WITHDRAWABLE);
+
+        await expect(
+            node.completeWithdrawal()
+            ).to.changeEtherBalance(addr1, ethers.parseEther("1000000"));
+
+        expect((await client(owner).getNodeInfo(addr1.address)).state).to.equal(NodeState.UNREGISTERED);
+    });
+
+    it("Should estimate rewards from the recent reward rate", async function () {
+        const { address, client, addr1, addr2 } = await loadFixture(deploySdkFixture);
+
+        await (await client(addr1).register()).wait();
+        await (await client(addr2).register()).wait();
+
+        for (let i = 0; i < 10; i++) {
+            await addRewards(address, ethers.parseEther("100"));
+            await (await client(addr1).claim()).wait();
+        }
+
+        await addRewards(address, ethers.parseEther("100"));
+
+        const contract = client(addr2).contract;
+        const blockNumber = BigInt(await ethers.provider.getBlockNumber());
+        const perBlock = (await contract.totalDividendsAt(blockNumber) - await contract.totalDividendsAt(blockNumber - 10n)) / 10n;
+
+        let estimate = await client(addr2).estimateRewards(undefined, { blocks: 100, sampleBlocks: 10 });
+
+        expect(perBlock).to.equal(ethers.parseEther("50"));
+        expect(estimate.perBlock).to.equal(perBlock);
+        expect(estimate.pending).to.equal(await contract.pendingRewards(addr2.address));
+        expect(estimate.estimated).to.equal(estimate.pending + 100n * perBlock);
+
+        // A withdrawing account no longer accrues rewards.
+        await (await client(addr2).startWithdrawal()).wait();
+
+        estimate = await client(addr2).estimateRewards(undefined, { blocks: 100, sampleBlocks: 10 });
+
+        expect(estimate.pending).to.equal(0);
+        expect(estimate.estimated).to.equal(0);
+    });
+
+    it("Should only fall back to a default for functions the deployment doesn't have", async function () {
+        const { masternodeContract, addr1 } = await loadFixture(deploySdkFixture);
+
+        // The token has neither these functions nor a fallback, like a deployment that predates them.
+        const collateralToken = await ethers.deployContract("WrappedStraxMock");
+        const olderContract = new ethers.Contract(await collateralToken.getAddress(), abi, ethers.provider);
+
+        expect(await callOrDefault(olderContract.inactive(addr1.address), false)).to.equal(false);
+        expect(await callOrDefault(olderContract.lockedCampaignAmount(), 0n)).to.equal(0n);
+        expect(await callOrDefault(masternodeContract.heartbeatWindow(), 0n)).to.equal(20n);
+
+        // A revert with data comes from a function that exists.
+        await expect(
+            callOrDefault(masternodeContract.connect(addr1).claimRewards.staticCall(), 0n)
+            ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered");
+
+        await expect(
+            callOrDefault(Promise.reject(Object.assign(new Error("connection refused"), { code: "NETWORK_ERROR" })), 0n)
+            ).to.be.rejectedWith("connection refused");
+    });
+
+    it("Should throw the contract's error instead of sending a transaction that would revert", async function () {
+        const { client, addr1 } = await loadFixture(deploySdkFixture);
+
+        const blockNumber = await ethers.provider.getBlockNumber();
+        const error = await client(addr1).claim().catch((error) => error);
+
+        expect(error).to.be.instanceOf(MasternodeError);
+        expect(error.errorName).to.equal("AccountNotRegistered");
+        expect(error.errorArgs).to.deep.equal({ account: addr1.address, status: 0n });
+        expect(error.message).to.equal("Account not registered (status UNREGISTERED)");
+
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+        await (await client(addr1).register()).wait();
+        await (await client(addr1).startWithdrawal()).wait();
+
+        await expect(
+            client(addr1).completeWithdrawal()
+            ).to.be.rejectedWith(MasternodeError, "Withdrawal delay has not yet elapsed: 100799 blocks remaining");
+
+        await expect(
+            client(ethers.provider).getNodeInfo()
+            ).to.be.rejectedWith("An account is required when the client has no signer");
+    });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { artifacts, ethers, stratis } = require("hardhat");
+const {
+    loadFixture,
+    mine,
+    reset,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("Stratis chain mode", function () {
+    async function genesisContractFixture() {
+        // The genesis contract is shared by every test file, so start from a fresh chain.
+        await reset();
+
+        const [addr1, addr2, addr3, addrLegacy] = await ethers.getSigners();
+
+        const masternodeContract = await stratis.getMasternodeContract();
+
+        setBalance(addr1.address, ethers.parseEther("5000000"));
+        setBalance(addr2.address, ethers.parseEther("5000000"));
+        setBalance(addr3.address, ethers.parseEther("5000000"));
+        setBalance(addrLegacy.address, ethers.parseEther("5000000"));
+
+        await masternodeContract.assignLegacyAccounts([addrLegacy]);
+
+        return { masternodeContract, addr1, addr2, addr3, addrLegacy };
+    }
+
+    describe("Genesis contract", function () {
+        it("Should have the runtime code installed at the masternode address", async function () {
+            const { masternodeContract } = await loadFixture(genesisContractFixture);
+
+            const artifact = await artifacts.readArtifact("MasternodeStakingContract");
+
+            expect(await masternodeContract.getAddress()).to.equal("0x0000000000000000000000000000000000001001");
+            expect(await ethers.provider.getCode(stratis.address)).to.equal(artifact.deployedBytecode);
+        });
+
+        it("Should have been initialized with the legacy accounts", async function () {
+            const { masternodeContract, addr1, addrLegacy } = await loadFixture(genesisContractFixture);
+
+            expect(await masternodeContract.initialized()).to.equal(true);
+            expect(await masternodeContract.legacy(addrLegacy.address)).to.equal(true);
+            expect(await masternodeContract.legacy(addr1.address)).to.equal(false);
+        });
+    });
+
+    describe("Block reward", function () {
+        it("Should mint the block reward to the contract for every mined block", async function () {
+            await loadFixture(genesisContractFixture);
+
+            const balanceBefore = await ethers.provider.getBalance(stratis.address);
+
+            await mine(10);
+
+            expect(await ethers.provider.getBalance(stratis.address)).to.equal(balanceBefore + 10n * stratis.blockReward);
+        });
+
+        it("Should mint the block reward for blocks containing transactions", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            const balanceBefore = await ethers.provider.getBalance(stratis.address);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            expect(await ethers.provider.getBalance(stratis.address)).to.equal(balanceBefore + ethers.parseEther("1000000") + stratis.blockReward);
+        });
+
+        it("Should mint the block reward for blocks containing reverted transactions", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            const balanceBefore = await ethers.provider.getBalance(stratis.address);
+
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.be.revertedWithCustomError(masternodeContract, "AccountNotRegistered")
+                .withArgs(addr1.address, 0);
+
+            expect(await ethers.provider.getBalance(stratis.address)).to.equal(balanceBefore + stratis.blockReward);
+        });
+
+        it("Should not credit blocks again after reverting to a snapshot", async function () {
+            await loadFixture(genesisContractFixture);
+
+            const balanceBefore = await ethers.provider.getBalance(stratis.address);
+
+            await mine(5);
+
+            await loadFixture(genesisContractFixture);
+
+            expect(await ethers.provider.getBalance(stratis.address)).to.equal(balanceBefore);
+
+            await mine(5);
+
+            expect(await ethers.provider.getBalance(stratis.address)).to.equal(balanceBefore + 5n * stratis.blockReward);
+        });
+    });
+
+    describe("Claim rewards", function () {
+        it("Should pay a single registrant the block rewards minted since registration", async function () {
+            const { masternodeContract, addr1 } = await loadFixture(genesisContractFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+
+            // Anything minted before the first registration is paid out to the first registrant as well.
+            await masternodeContract.connect(addr1).claimRewards();
+
+            await mine(9);
+
+            // Registration claim block + 9 mined blocks have been rewarded by the time the claim executes.
+            const tx = masternodeContract.connect(addr1).claimRewards();
+
+            await expect(tx).to.changeEtherBalance(addr1, 10n * stratis.blockReward);
+        });
+
+        it("Should split the block rewards between registrants", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await masternodeContract.connect(addr1).claimRewards();
+            await masternodeContract.connect(addr2).claimRewards();
+
+            await mine(10);
+
+            // Both claim blocks + 10 mined blocks since addr1's previous claim, split two ways.
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, (12n * stratis.blockReward) / 2n);
+        });
+
+        it("Should stop paying rewards to an account once it starts withdrawing", async function () {
+            const { masternodeContract, addr1, addr2 } = await loadFixture(genesisContractFixture);
+
+            await masternodeContract.connect(addr1).register({ value: ethers.parseEther("1000000") });
+            await masternodeContract.connect(addr2).register({ value: ethers.parseEther("1000000") });
+
+            await masternodeContract.connect(addr1).claimRewards();
+            await masternodeContract.connect(addr2).startWithdrawal();
+
+            await mine(10);
+
+            // addr1's claim block was still split two ways, the withdrawal block and the 10 mined blocks go to addr1 alone.
+            await expect(
+                masternodeContract.connect(addr1).claimRewards()
+                ).to.changeEtherBalance(addr1, (stratis.blockReward / 2n) + 11n * stratis.blockReward);
+
+            await mine(100800);
+
+            await expect(
+                masternodeContract.connect(addr2).completeWithdrawal()
+                ).to.changeEtherBalance(addr2, ethers.parseEther("1000000"));
+        });
+    });
+});
@@ -0,0 +1,54 @@
+// EIP-712 types of the authorizations accepted by claimRewardsWithSignature() and startWithdrawalWithSignature().
+const AUTHORIZATION_TYPES = {
+    Claim: [
+        { name: "masternode", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+    StartWithdrawal: [
+        { name: "masternode", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+async function getDomain(masternodeContract) {
+    const { chainId } = await masternodeContract.runner.provider.getNetwork();
+
+    return {
+        name: "MasternodeStakingContract",
+        version: "1",
+        chainId,
+        verifyingContract: await masternodeContract.getAddress(),
+    };
+}
+
+// Signs an authorization of the given type with the masternode account's key.
+// The nonce defaults to the account's current nonce, so the signature is valid for the next authorization the contract accepts.
+async function signAuthorization(type, signer, masternodeContract, { deadline, nonce }) {
+    const masternode = await signer.getAddress();
+
+    if (nonce === undefined) {
+        nonce = await masternodeContract.nonces(masternode);
+    }
+
+    const value = { masternode, nonce, deadline };
+    const signature = await signer.signTypedData(await getDomain(masternodeContract), { [type]: AUTHORIZATION_TYPES[type] }, value);
+
+    return { ...value, signature };
+}
+
+function signClaim(signer, masternodeContract, options) {
+    return signAuthorization("Claim", signer, masternodeContract, options);
+}
+
+function signStartWithdrawal(signer, masternodeContract, options) {
+    return signAuthorization("StartWithdrawal", signer, masternodeContract, options);
+}
+
+module.exports = {
+    AUTHORIZATION_TYPES,
+    getDomain,
+    signClaim,
+    signStartWithdrawal,
+};
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, Contract, getAddress, isAddress, keccak256, toBeHex, toQuantity, zeroPadValue, ZeroAddress } = require("ethers");
+
+// Reads a legacy account list from either a JSON array of addresses or a CSV file with the address in the first column.
+// Zero addresses are dropped and duplicates removed, mirroring what assignLegacyAccounts() would store.
+function readLegacyAccounts(file) {
+    const contents = fs.readFileSync(file, "utf8");
+
+    let entries;
+    if (path.extname(file).toLowerCase() === ".json") {
+        entries = JSON.parse(contents);
+
+        if (!Array.isArray(entries)) {
+            throw new Error(`${file}: expected a JSON array of addresses`);
+        }
+    } else {
+        entries = [];
+
+        const lines = contents.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            if (line === "" || line.startsWith("#")) {
+                continue;
+            }
+
+            const address = line.split(",")[0].trim().replace(/^"|"$/g, "");
+
+            // Allow a header row.
+            if (entries.length === 0 && !isAddress(address) && !address.startsWith("0x")) {
+                continue;
+            }
+
+            entries.push(address);
+        }
+    }
+
+    const accounts = new Set();
+    for (const entry of entries) {
+        if (typeof entry !== "string" || !isAddress(entry)) {
+            throw new Error(`${file}: invalid legacy address ${JSON.stringify(entry)}`);
+        }
+
+        const address = getAddress(entry);
+        if (address !== ZeroAddress) {
+            accounts.add(address);
+        }
+    }
+
+    return [...accounts];
+}
+
+function findStorageVariable(storageLayout, label) {
+    const variable = storageLayout.storage.find((entry) => entry.label === label);
+
+    if (variable === undefined) {
+        throw new Error(`Storage variable '${label}' not found in the contract storage layout`);
+    }
+
+    return variable;
+}
+
+function mappingSlot(key, slot) {
+    return keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [key, slot]));
+}
+
+// Sets a value stored at the given byte offset of a slot, keeping any other values packed into the same slot.
+function setStorageValue(storage, slot, offset, value) {
+    const key = zeroPadValue(toBeHex(slot), 32);
+    const current = BigInt(storage[key] ?? 0);
+
+    storage[key] = zeroPadValue(toBeHex(current | (value << BigInt(offset * 8))), 32);
+}
+
+function setStorageBool(storage, slot, offset) {
+    setStorageValue(storage, slot, offset, 1n);
+}
+
+function setStorageVariable(storage, storageLayout, label, value) {
+    const variable = findStorageVariable(storageLayout, label);
+
+    setStorageValue(storage, BigInt(variable.slot), variable.offset, value);
+}
+
+// Builds the genesis 'alloc' entry for the masternode contract, with the legacy accounts already assigned and the contract marked as initialized.
+// A non-zero heartbeat window enables the liveness mechanism from genesis, and an admin enables parameter changes subject to the timelock delay.
+// A collateral token enables registering with collateral in that token.
+// The slots are taken from the compiler's storage layout so that the result stays correct if the contract's storage changes.
+function buildGenesisAlloc({ address, deployedBytecode, storageLayout, legacyAccounts, heartbeatWindow = 0n, admin = ZeroAddress, timelockDelay = 0n, collateralToken = ZeroAddress, balance = 0n }) {
+    const initialized = findStorageVariable(storageLayout, "initialized");
+    const legacy = findStorageVariable(storageLayout, "legacy");
+
+    const storage = {};
+
+    if (heartbeatWindow > 0n) {
+        setStorageVariable(storage, storageLayout, "heartbeatWindow", heartbeatWindow);
+    }
+
+    if (admin !== ZeroAddress) {
+        setStorageVariable(storage, storageLayout, "admin", BigInt(admin));
+    }
+
+    if (timelockDelay > 0n) {
+        setStorageVariable(storage, storageLayout, "timelockDelay", timelockDelay);
+    }
+
+    if (collateralToken !== ZeroAddress) {
+        setStorageVariable(storage, storageLayout, "collateralToken", BigInt(collateralToken));
+    }
+
+    for (const account of legacyAccounts) {
+        setStorageBool(storage, mappingSlot(account, legacy.slot), 0);
+    }
+
+    setStorageBool(storage, BigInt(initialized.slot), initialized.offset);
+
+    return {
+        [getAddress(address)]: {
+            balance: toQuantity(balance),
+            code: deployedBytecode,
+            storage,
+        },
+    };
+}
+
+// Loads the alloc into a Hardhat node and reads the legacy flags and settings back through the contract's getters.
+// Settings that setGovernance() would reject, i.e. an admin with a timelock delay below MIN_TIMELOCK_DELAY(), are reported as well.
+// The node state is restored afterwards. Returns the list of problems found, which is empty if the alloc is correct.
+async function verifyGenesisAlloc(provider, abi, alloc, { legacyAccounts, heartbeatWindow = 0n, admin = ZeroAddress, timelockDelay = 0n, collateralToken = ZeroAddress }) {
+    const [address, entry] = Object.entries(alloc)[0];
+    const problems = [];
+
+    const snapshot = await provider.send("evm_snapshot", []);
+
+    try {
+        await provider.send("hardhat_setCode", [address, entry.code]);
+        await provider.send("hardhat_setBalance", [address, entry.balance]);
+
+        for (const [slot, value] of Object.entries(entry.storage)) {
+            await provider.send("hardhat_setStorageAt", [address, slot, value]);
+        }
+
+        const contract = new Contract(address, abi, provider);
+
+        if (!(await contract.initialized())) {
+            problems.push("initialized() returned false");
+        }
+
+        const settings = { heartbeatWindow, admin: getAddress(admin), timelockDelay, collateralToken: getAddress(collateralToken) };
+        for (const [getter, expected] of Object.entries(settings)) {
+            const actual = await contract[getter]();
+            if (actual !== expected) {
+                problems.push(`${getter}() returned ${actual}, expected ${expected}`);
+            }
+        }
+
+        const minTimelockDelay = await contract.MIN_TIMELOCK_DELAY();
+        if (await contract.admin() !== ZeroAddress && await contract.timelockDelay() < minTimelockDelay) {
+            problems.push(`timelockDelay() is below MIN_TIMELOCK_DELAY() of ${minTimelockDelay} blocks`);
+        }
+
+        for (const account of legacyAccounts) {
+            if (!(await contract.legacy(account))) {
+                problems.push(`legacy(${account}) returned false`);
+            }
+        }
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+    }
+
+    return problems;
+}
+
+module.exports = {
+    readLegacyAccounts,
+    buildGenesisAlloc,
+    verifyGenesisAlloc,
+};
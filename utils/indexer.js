@@ -0,0 +1,317 @@
+// Rebuilds the masternode contract's state purely from its event logs.
+// Registration status values match the contract's RegistrationStatus enum.
+const RegistrationStatus = {
+    UNREGISTERED: 0n,
+    REGISTERED: 1n,
+    WITHDRAWING: 2n,
+};
+
+// Values of the contract's Parameter enum.
+const Parameter = {
+    COLLATERAL_AMOUNT: 0n,
+    COLLATERAL_AMOUNT_LEGACY: 1n,
+    WITHDRAWAL_DELAY: 2n,
+    EARLY_WITHDRAWAL_PENALTY: 3n,
+};
+
+// The parameters start out at the given defaults, i.e. the contract's DEFAULT_* constants, and then follow the executed parameter changes.
+// Legacy accounts assigned in the genesis alloc have no LegacyAccountAssigned event, so they can be passed in as legacyAccounts,
+// e.g. as read by readLegacyAccounts() in utils/genesis.js. Otherwise they only show up as legacy once they register.
+function createState({ collateralAmount = 0n, collateralAmountLegacy = 0n, withdrawalDelay = 0n, earlyWithdrawalPenalty = 0n, legacyAccounts = [] } = {}) {
+    const state = {
+        accounts: new Map(),
+        // Reward campaigns by id.
+        campaigns: new Map(),
+        collateralAmount,
+        collateralAmountLegacy,
+        withdrawalDelay,
+        earlyWithdrawalPenalty,
+        totalRegistrations: 0n,
+        totalDividends: 0n,
+        totalCollateralAmount: 0n,
+        withdrawingCollateralAmount: 0n,
+        // Collateral posted in the collateral token, by registered and withdrawing accounts. It is not part of the two native totals.
+        tokenCollateralAmount: 0n,
+        lastBalance: 0n,
+        totalClaimed: 0n,
+        // Collateral forfeited by early withdrawals, which has been added to the rewards.
+        totalPenalties: 0n,
+        lastBlock: 0,
+    };
+
+    for (const address of legacyAccounts) {
+        getAccount(state, address).legacy = true;
+    }
+
+    return state;
+}
+
+function getAccount(state, address) {
+    let account = state.accounts.get(address);
+
+    if (account === undefined) {
+        account = {
+            status: RegistrationStatus.UNREGISTERED,
+            legacy: false,
+            collateral: 0n,
+            tokenCollateral: false,
+            // The withdrawal delay in effect when the withdrawal started.
+            withdrawalDelay: 0n,
+            totalClaimed: 0n,
+            totalPenalties: 0n,
+            registrationBlock: undefined,
+            withdrawalStartBlock: undefined,
+            rewardRecipient: undefined,
+            withdrawalAddress: undefined,
+            inactive: false,
+            lastHeartbeatBlock: undefined,
+        };
+
+        state.accounts.set(address, account);
+    }
+
+    return account;
+}
+
+// Applies a single parsed contract log to the state.
+function applyEvent(state, log) {
+    const args = log.args;
+
+    switch (log.eventName) {
+        case "LegacyAccountAssigned":
+            getAccount(state, args._account).legacy = true;
+            break;
+
+        case "Registration": {
+            const account = getAccount(state, args._from);
+            account.status = RegistrationStatus.REGISTERED;
+            account.registrationBlock = log.blockNumber;
+            account.withdrawalStartBlock = undefined;
+            account.lastHeartbeatBlock = log.blockNumber;
+
+            state.totalRegistrations += 1n;
+            break;
+        }
+
+        // Follows the Registration event. The collateral can't be derived from the parameters, as legacy accounts assigned in the
+        // genesis alloc have no LegacyAccountAssigned event.
+        case "CollateralPosted": {
+            const account = getAccount(state, args._from);
+            account.legacy = args._legacy;
+            account.collateral = args._amount;
+
+            state.totalCollateralAmount += args._amount;
+            break;
+        }
+
+        // Follows the CollateralPosted event of an account that posted token collateral, which was counted as native collateral.
+        case "TokenCollateralPosted": {
+            const account = getAccount(state, args._from);
+            account.tokenCollateral = true;
+
+            state.totalCollateralAmount -= args._amount;
+            state.tokenCollateralAmount += args._amount;
+            break;
+        }
+
+        case "ParameterChangeExecuted":
+            switch (args._parameter) {
+                case Parameter.COLLATERAL_AMOUNT:
+                    state.collateralAmount = args._value;
+                    break;
+                case Parameter.COLLATERAL_AMOUNT_LEGACY:
+                    state.collateralAmountLegacy = args._value;
+                    break;
+                case Parameter.WITHDRAWAL_DELAY:
+                    state.withdrawalDelay = args._value;
+                    break;
+                case Parameter.EARLY_WITHDRAWAL_PENALTY:
+                    state.earlyWithdrawalPenalty = args._value;
+                    break;
+            }
+            break;
+
+        case "PayoutAddressesChanged": {
+            const account = getAccount(state, args._masternode);
+            account.rewardRecipient = args._rewardRecipient;
+            account.withdrawalAddress = args._withdrawalAddress;
+            break;
+        }
+
+        case "Heartbeat":
+            getAccount(state, args._from).lastHeartbeatBlock = log.blockNumber;
+            break;
+
+        case "MarkedInactive":
+            getAccount(state, args._account).inactive = true;
+
+            state.totalRegistrations -= 1n;
+            state.lastBalance -= args._forfeited;
+            break;
+
+        case "Reactivated":
+            getAccount(state, args._account).inactive = false;
+
+            state.totalRegistrations += 1n;
+            break;
+
+        case "RewardsFunded":
+            state.campaigns.set(args._campaign, {
+                funder: args._funder,
+                amount: args._amount,
+                startBlock: args._startBlock,
+                endBlock: args._endBlock,
+            });
+            break;
+
+        case "DividendsDistributed":
+            state.totalDividends = args._totalDividends;
+            state.lastBalance += args._amount;
+            break;
+
+        case "RewardsClaimed": {
+            const account = getAccount(state, args._from);
+            account.totalClaimed += args._amount;
+
+            state.totalClaimed += args._amount;
+            state.lastBalance -= args._amount;
+            break;
+        }
+
+        case "Deregistration": {
+            const account = getAccount(state, args._from);
+            account.status = RegistrationStatus.WITHDRAWING;
+            account.withdrawalStartBlock = log.blockNumber;
+            account.withdrawalDelay = state.withdrawalDelay;
+
+            // Inactive accounts were already taken out of the total registrations.
+            if (account.inactive) {
+                account.inactive = false;
+            } else {
+                state.totalRegistrations -= 1n;
+            }
+
+            if (!account.tokenCollateral) {
+                state.totalCollateralAmount -= account.collateral;
+                state.withdrawingCollateralAmount += account.collateral;
+            }
+            break;
+        }
+
+        case "WithdrawalCancelled": {
+            const account = getAccount(state, args._from);
+            account.status = RegistrationStatus.REGISTERED;
+            account.withdrawalStartBlock = undefined;
+            account.withdrawalDelay = 0n;
+            account.lastHeartbeatBlock = log.blockNumber;
+
+            state.totalRegistrations += 1n;
+
+            if (!account.tokenCollateral) {
+                state.totalCollateralAmount += account.collateral;
+                state.withdrawingCollateralAmount -= account.collateral;
+            }
+            break;
+        }
+
+        case "RegistrationTransferred": {
+            const from = getAccount(state, args._from);
+            const to = getAccount(state, args._to);
+
+            // The payout addresses follow in a separate PayoutAddressesChanged event. Claims stay with the address that made them.
+            to.status = from.status;
+            to.legacy = from.legacy;
+            to.collateral = from.collateral;
+            to.tokenCollateral = from.tokenCollateral;
+            to.registrationBlock = from.registrationBlock;
+            to.withdrawalStartBlock = from.withdrawalStartBlock;
+            to.withdrawalDelay = from.withdrawalDelay;
+            to.inactive = from.inactive;
+            to.lastHeartbeatBlock = from.lastHeartbeatBlock;
+
+            from.status = RegistrationStatus.UNREGISTERED;
+            from.legacy = false;
+            from.collateral = 0n;
+            from.tokenCollateral = false;
+            from.registrationBlock = undefined;
+            from.withdrawalStartBlock = undefined;
+            from.withdrawalDelay = 0n;
+            from.rewardRecipient = undefined;
+            from.withdrawalAddress = undefined;
+            from.inactive = false;
+            from.lastHeartbeatBlock = undefined;
+            break;
+        }
+
+        case "WithdrawalCompleted": {
+            const account = getAccount(state, args._from);
+            account.status = RegistrationStatus.UNREGISTERED;
+            account.withdrawalStartBlock = undefined;
+            account.withdrawalDelay = 0n;
+            account.registrationBlock = undefined;
+            account.rewardRecipient = undefined;
+            account.withdrawalAddress = undefined;
+            account.lastHeartbeatBlock = undefined;
+            account.collateral = 0n;
+
+            // Legacy status is forfeited on de-registration.
+            account.legacy = false;
+
+            if (account.tokenCollateral) {
+                account.tokenCollateral = false;
+
+                state.tokenCollateralAmount -= args._amount;
+            } else {
+                state.withdrawingCollateralAmount -= args._amount;
+            }
+            break;
+        }
+
+        // Follows the WithdrawalCompleted event of an early withdrawal, whose amount is the whole collateral released.
+        case "EarlyWithdrawal": {
+            const account = getAccount(state, args._from);
+            account.totalPenalties += args._penalty;
+
+            state.totalPenalties += args._penalty;
+            break;
+        }
+
+        default:
+            return;
+    }
+
+    state.lastBlock = log.blockNumber;
+}
+
+// Fetches all logs of the contract in the given block range and replays them in chain order.
+// An existing state can be passed in to continue indexing incrementally from where it left off. Otherwise a new state is created
+// with the contract's defaults and the given genesis legacy accounts.
+async function indexEvents(masternodeContract, { fromBlock = 0, toBlock = "latest", state, legacyAccounts = [] } = {}) {
+    if (state === undefined) {
+        state = createState({
+            collateralAmount: await masternodeContract.DEFAULT_COLLATERAL_AMOUNT(),
+            collateralAmountLegacy: await masternodeContract.DEFAULT_COLLATERAL_AMOUNT_LEGACY(),
+            withdrawalDelay: await masternodeContract.DEFAULT_WITHDRAWAL_DELAY(),
+            earlyWithdrawalPenalty: await masternodeContract.DEFAULT_EARLY_WITHDRAWAL_PENALTY(),
+            legacyAccounts,
+        });
+    }
+
+    const logs = await masternodeContract.queryFilter("*", fromBlock, toBlock);
+
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+    for (const log of logs) {
+        applyEvent(state, log);
+    }
+
+    return state;
+}
+
+module.exports = {
+    RegistrationStatus,
+    Parameter,
+    createState,
+    applyEvent,
+    indexEvents,
+};
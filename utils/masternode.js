@@ -0,0 +1,103 @@
+const { ZeroAddress } = require("ethers");
+const { STATUS_NAMES, getNodeInfo } = require("../sdk");
+
+// The following checks mirror the require() statements of the corresponding contract methods,
+// so that a transaction that would revert is never sent.
+
+function assertCanRegister(info, signerBalance) {
+    if (info.statusName !== "UNREGISTERED") {
+        throw new Error(`Account already registered (status ${info.statusName})`);
+    }
+
+    if (signerBalance < info.collateral) {
+        throw new Error(`Insufficient balance for the ${info.legacy ? "legacy " : ""}collateral amount: have ${signerBalance}, need ${info.collateral}`);
+    }
+}
+
+function assertCanRegisterWithToken(info, collateralToken, tokenBalance) {
+    if (collateralToken === ZeroAddress) {
+        throw new Error("Token collateral is not enabled");
+    }
+
+    assertCanRegister(info, tokenBalance);
+}
+
+function assertCanClaim(info) {
+    if (info.statusName !== "REGISTERED") {
+        throw new Error(`Account not registered (status ${info.statusName})`);
+    }
+}
+
+function assertCanHeartbeat(info) {
+    assertCanClaim(info);
+}
+
+function assertCanStartWithdrawal(info) {
+    assertCanClaim(info);
+}
+
+function assertCanCancelWithdrawal(info) {
+    if (info.statusName !== "WITHDRAWING") {
+        throw new Error(`Account has not started the withdrawal process (status ${info.statusName})`);
+    }
+}
+
+function assertCanCompleteWithdrawal(info) {
+    if (info.statusName !== "WITHDRAWING") {
+        throw new Error(`Account has not started the withdrawal process (status ${info.statusName})`);
+    }
+
+    if (info.withdrawalBlocksRemaining > 0n) {
+        throw new Error(`Withdrawal delay has not yet elapsed: ${info.withdrawalBlocksRemaining} blocks remaining (available at block ${info.withdrawalAvailableBlock})`);
+    }
+}
+
+function assertCanStartRegistrationTransfer(info, sender, newMasternode) {
+    if (info.statusName === "UNREGISTERED") {
+        throw new Error(`Account not registered (status ${info.statusName})`);
+    }
+
+    if (sender !== info.withdrawalAddress) {
+        throw new Error(`Caller is not the withdrawal address ${info.withdrawalAddress}`);
+    }
+
+    if (newMasternode === ZeroAddress || newMasternode === info.account) {
+        throw new Error(`Invalid transfer address ${newMasternode}`);
+    }
+}
+
+function assertCanCancelRegistrationTransfer(info, sender) {
+    if (sender !== info.withdrawalAddress) {
+        throw new Error(`Caller is not the withdrawal address ${info.withdrawalAddress}`);
+    }
+
+    if (info.pendingRegistrationTransfer === ZeroAddress) {
+        throw new Error("No pending registration transfer");
+    }
+}
+
+// 'info' is the masternode being transferred, 'newInfo' the account accepting it.
+function assertCanAcceptRegistrationTransfer(info, newInfo) {
+    if (info.pendingRegistrationTransfer !== newInfo.account) {
+        throw new Error(`No pending registration transfer to ${newInfo.account}`);
+    }
+
+    if (newInfo.statusName !== "UNREGISTERED") {
+        throw new Error(`Account already registered (status ${newInfo.statusName})`);
+    }
+}
+
+module.exports = {
+    STATUS_NAMES,
+    getNodeInfo,
+    assertCanRegister,
+    assertCanRegisterWithToken,
+    assertCanClaim,
+    assertCanHeartbeat,
+    assertCanStartWithdrawal,
+    assertCanCancelWithdrawal,
+    assertCanCompleteWithdrawal,
+    assertCanStartRegistrationTransfer,
+    assertCanCancelRegistrationTransfer,
+    assertCanAcceptRegistrationTransfer,
+};
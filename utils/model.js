@@ -0,0 +1,827 @@
+// Pure-JS reference implementation of the masternode contract's reward accounting.
+// It mirrors the contract line for line so that the two can be compared; it does not talk to a chain.
+
+const RegistrationStatus = {
+    UNREGISTERED: 0n,
+    REGISTERED: 1n,
+    WITHDRAWING: 2n,
+};
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Names of the model's parameter fields, indexed by the contract's Parameter enum.
+const PARAMETER_NAMES = ["COLLATERAL_AMOUNT", "COLLATERAL_AMOUNT_LEGACY", "WITHDRAWAL_DELAY", "EARLY_WITHDRAWAL_PENALTY"];
+
+// Basis points of the early withdrawal penalty, matching the contract's constant.
+const PENALTY_DENOMINATOR = 10_000n;
+
+// Lower bound on the timelock delay when there is an admin, matching the contract's constant.
+const MIN_TIMELOCK_DELAY = 5_400n;
+
+// Reward campaign constants, matching the contract's.
+const CAMPAIGN_PERIOD = 5_400n;
+const MIN_CAMPAIGN_AMOUNT = 1_000n * 10n ** 18n;
+const MAX_CAMPAIGN_DURATION = 2_000_000n;
+
+// Thrown when the contract would revert. 'name' and 'args' match the decoded revert data: either a custom error
+// with its arguments, or name "Error" with the require() message as the only argument.
+class ModelRevert extends Error {
+    constructor(name, args) {
+        super(`${name}(${args.join(", ")})`);
+        this.name = "ModelRevert";
+        this.errorName = name;
+        this.errorArgs = args;
+    }
+}
+
+function revertUnless(condition, message) {
+    if (!condition) {
+        throw new ModelRevert("Error", [message]);
+    }
+}
+
+class MasternodeModel {
+    // The parameters start out at the given defaults and can then be changed through proposeParameterChange() and executeParameterChange().
+    constructor({ collateralAmount, collateralAmountLegacy, withdrawalDelay, earlyWithdrawalPenalty }) {
+        this.COLLATERAL_AMOUNT = collateralAmount;
+        this.COLLATERAL_AMOUNT_LEGACY = collateralAmountLegacy;
+        this.WITHDRAWAL_DELAY = withdrawalDelay;
+        this.EARLY_WITHDRAWAL_PENALTY = earlyWithdrawalPenalty;
+
+        this.admin = ZERO_ADDRESS;
+        this.timelockDelay = 0n;
+
+        // Native balance held by the contract, and its balance of the collateral token.
+        this.balance = 0n;
+        this.tokenBalance = 0n;
+
+        this.initialized = false;
+        this.totalDividends = 0n;
+        this.totalRegistrations = 0n;
+        this.totalCollateralAmount = 0n;
+        this.lastBalance = 0n;
+        this.withdrawingCollateralAmount = 0n;
+        this.masternodeCount = 0n;
+        this.heartbeatWindow = 0n;
+        this.collateralToken = ZERO_ADDRESS;
+        this.tokenCollateralAmount = 0n;
+
+        // Registered and withdrawing accounts in order of registration.
+        this.masternodes = [];
+
+        this._accounts = new Map();
+        this._registrationStatus = new Map();
+        this._legacy = new Set();
+        this._rewardRecipient = new Map();
+        this._withdrawalAddress = new Map();
+        this._lastHeartbeatBlock = new Map();
+        this._inactive = new Set();
+        this._collateral = new Map();
+        this._tokenCollateral = new Set();
+        this._withdrawalDelay = new Map();
+        this._pendingParameterChanges = new Map();
+        this._pendingRegistrationTransfer = new Map();
+
+        // Reward history, see rewardsEarnedAt(). The arrays are replaced rather than modified, so that snapshots can share them.
+        this._dividendCheckpoints = [];
+        this._rewardCheckpoints = new Map();
+
+        // Reward campaigns by id, also replaced rather than modified, and their aggregate release state like the contract's.
+        this._campaigns = [];
+        this._campaignLockedAmount = 0n;
+        this._campaignReleaseRate = 0n;
+        this._campaignUpdateBlock = 0n;
+        this._campaignRateDecrements = new Map();
+    }
+
+    // Public getters, named after the contract's.
+
+    accounts(address) {
+        return this._accounts.get(address) ?? { balance: 0n, lastDividends: 0n, lastClaimedBlock: 0n };
+    }
+
+    registrationStatus(address) {
+        return this._registrationStatus.get(address) ?? RegistrationStatus.UNREGISTERED;
+    }
+
+    legacy(address) {
+        return this._legacy.has(address);
+    }
+
+    rewardRecipient(address) {
+        return this._rewardRecipient.get(address) ?? ZERO_ADDRESS;
+    }
+
+    withdrawalAddress(address) {
+        return this._withdrawalAddress.get(address) ?? ZERO_ADDRESS;
+    }
+
+    lastHeartbeatBlock(address) {
+        return this._lastHeartbeatBlock.get(address) ?? 0n;
+    }
+
+    inactive(address) {
+        return this._inactive.has(address);
+    }
+
+    collateral(address) {
+        return this._collateral.get(address) ?? 0n;
+    }
+
+    tokenCollateral(address) {
+        return this._tokenCollateral.has(address);
+    }
+
+    withdrawalDelay(address) {
+        return this._withdrawalDelay.get(address) ?? 0n;
+    }
+
+    pendingParameterChanges(parameter) {
+        return this._pendingParameterChanges.get(BigInt(parameter)) ?? { value: 0n, executableBlock: 0n };
+    }
+
+    pendingRegistrationTransfer(address) {
+        return this._pendingRegistrationTransfer.get(address) ?? ZERO_ADDRESS;
+    }
+
+    campaigns(id) {
+        return this._campaigns[Number(id)];
+    }
+
+    // The model doesn't know the current block, so views that depend on it take it as an argument.
+    lockedCampaignAmount(blockNumber) {
+        return this._campaignState(blockNumber).locked;
+    }
+
+    pendingRewards(address, blockNumber) {
+        if (this.registrationStatus(address) !== RegistrationStatus.REGISTERED) {
+            return 0n;
+        }
+
+        if (this.inactive(address)) {
+            return this.accounts(address).balance;
+        }
+
+        let pendingDividends = this.totalDividends;
+
+        if (this.totalRegistrations > 0n) {
+            const amount = this.balance - this.lastBalance - this.totalCollateralAmount - this.withdrawingCollateralAmount - this.lockedCampaignAmount(blockNumber);
+
+            pendingDividends += amount / this.totalRegistrations;
+        }
+
+        return this.accounts(address).balance + (pendingDividends - this.accounts(address).lastDividends);
+    }
+
+    totalDividendsAt(blockNumber) {
+        return this._dividendCheckpoints.findLast((checkpoint) => checkpoint.blockNumber <= blockNumber)?.totalDividends ?? 0n;
+    }
+
+    rewardsEarnedAt(address, blockNumber) {
+        const checkpoints = this._rewardCheckpoints.get(address) ?? [];
+        const index = checkpoints.findLastIndex((checkpoint) => checkpoint.blockNumber <= blockNumber);
+
+        if (index === -1) {
+            return 0n;
+        }
+
+        const checkpoint = checkpoints[index];
+
+        if (!checkpoint.active) {
+            return checkpoint.value;
+        }
+
+        const earned = this.totalDividendsAt(blockNumber) - checkpoint.value;
+        const next = checkpoints[index + 1];
+
+        return next !== undefined && next.value < earned ? next.value : earned;
+    }
+
+    // Funds arriving without a call, i.e. the block reward.
+    receive(amount) {
+        this.balance += amount;
+    }
+
+    // State changing methods. Each takes the transaction context and returns the native amount paid out.
+    // Token collateral is only reflected in tokenBalance.
+    // Payouts go to the account's reward recipient or withdrawal address, which are the sender unless registered otherwise.
+    // Like a reverted transaction, a method that throws leaves the model unchanged.
+
+    assignLegacyAccounts({ sender }, legacyAccounts) {
+        return this._transact(() => {
+            revertUnless(!this.initialized, "Legacy accounts can only be set once");
+
+            for (const account of legacyAccounts) {
+                if (account !== ZERO_ADDRESS) {
+                    this._legacy.add(account);
+                }
+            }
+
+            this.initialized = true;
+
+            return 0n;
+        });
+    }
+
+    setHeartbeatWindow({ sender }, window) {
+        return this._transact(() => {
+            revertUnless(!this.initialized, "Heartbeat window can only be set before initialization");
+
+            this.heartbeatWindow = window;
+
+            return 0n;
+        });
+    }
+
+    setGovernance({ sender }, admin, timelockDelay) {
+        return this._transact(() => {
+            revertUnless(!this.initialized, "Governance can only be set before initialization");
+            revertUnless(admin === ZERO_ADDRESS || timelockDelay >= MIN_TIMELOCK_DELAY, "Timelock delay is below the minimum");
+
+            this.admin = admin;
+            this.timelockDelay = timelockDelay;
+
+            return 0n;
+        });
+    }
+
+    setCollateralToken({ sender }, token) {
+        return this._transact(() => {
+            revertUnless(!this.initialized, "Collateral token can only be set before initialization");
+
+            this.collateralToken = token;
+
+            return 0n;
+        });
+    }
+
+    proposeParameterChange({ sender, blockNumber }, parameter, value) {
+        return this._transact(() => {
+            revertUnless(sender === this.admin, "Caller is not the admin");
+            revertUnless(PARAMETER_NAMES[Number(parameter)] === "EARLY_WITHDRAWAL_PENALTY" ? value <= PENALTY_DENOMINATOR : value > 0n, "Invalid parameter value");
+
+            this._pendingParameterChanges.set(BigInt(parameter), { value, executableBlock: blockNumber + this.timelockDelay });
+
+            return 0n;
+        });
+    }
+
+    cancelParameterChange({ sender }, parameter) {
+        return this._transact(() => {
+            revertUnless(sender === this.admin, "Caller is not the admin");
+            revertUnless(this.pendingParameterChanges(parameter).executableBlock !== 0n, "No pending parameter change");
+
+            this._pendingParameterChanges.delete(BigInt(parameter));
+
+            return 0n;
+        });
+    }
+
+    executeParameterChange({ blockNumber }, parameter) {
+        return this._transact(() => {
+            const change = this.pendingParameterChanges(parameter);
+
+            revertUnless(change.executableBlock !== 0n, "No pending parameter change");
+            revertUnless(blockNumber >= change.executableBlock, "Timelock has not elapsed");
+
+            this[PARAMETER_NAMES[Number(parameter)]] = change.value;
+
+            this._pendingParameterChanges.delete(BigInt(parameter));
+
+            return 0n;
+        });
+    }
+
+    register({ sender, value, blockNumber }) {
+        return this.registerWithPayoutAddresses({ sender, value, blockNumber }, sender, sender);
+    }
+
+    registerWithPayoutAddresses({ sender, value, blockNumber }, rewardRecipient, withdrawalAddress) {
+        return this._transact(() => this._register(sender, value, blockNumber, rewardRecipient, withdrawalAddress, false));
+    }
+
+    // The sender is assumed to hold and have approved enough of the token.
+    registerWithToken({ sender, blockNumber }, rewardRecipient, withdrawalAddress) {
+        return this._transact(() => this._register(sender, 0n, blockNumber, rewardRecipient, withdrawalAddress, true));
+    }
+
+    setPayoutAddresses({ sender }, masternode, rewardRecipient, withdrawalAddress) {
+        return this._transact(() => {
+            if (this.registrationStatus(masternode) === RegistrationStatus.UNREGISTERED) {
+                throw new ModelRevert("AccountNotRegistered", [masternode, RegistrationStatus.UNREGISTERED]);
+            }
+
+            if (sender !== this.withdrawalAddress(masternode)) {
+                throw new ModelRevert("NotWithdrawalAddress", [masternode, this.withdrawalAddress(masternode)]);
+            }
+
+            if (rewardRecipient === ZERO_ADDRESS || withdrawalAddress === ZERO_ADDRESS) {
+                throw new ModelRevert("InvalidPayoutAddress", []);
+            }
+
+            this._rewardRecipient.set(masternode, rewardRecipient);
+            this._withdrawalAddress.set(masternode, withdrawalAddress);
+
+            return 0n;
+        });
+    }
+
+    startRegistrationTransfer({ sender }, masternode, newMasternode) {
+        return this._transact(() => {
+            if (this.registrationStatus(masternode) === RegistrationStatus.UNREGISTERED) {
+                throw new ModelRevert("AccountNotRegistered", [masternode, RegistrationStatus.UNREGISTERED]);
+            }
+
+            if (sender !== this.withdrawalAddress(masternode)) {
+                throw new ModelRevert("NotWithdrawalAddress", [masternode, this.withdrawalAddress(masternode)]);
+            }
+
+            if (newMasternode === ZERO_ADDRESS || newMasternode === masternode) {
+                throw new ModelRevert("InvalidTransferAddress", [newMasternode]);
+            }
+
+            this._pendingRegistrationTransfer.set(masternode, newMasternode);
+
+            return 0n;
+        });
+    }
+
+    cancelRegistrationTransfer({ sender }, masternode) {
+        return this._transact(() => {
+            if (sender !== this.withdrawalAddress(masternode)) {
+                throw new ModelRevert("NotWithdrawalAddress", [masternode, this.withdrawalAddress(masternode)]);
+            }
+
+            revertUnless(this.pendingRegistrationTransfer(masternode) !== ZERO_ADDRESS, "No pending registration transfer");
+
+            this._pendingRegistrationTransfer.delete(masternode);
+
+            return 0n;
+        });
+    }
+
+    acceptRegistrationTransfer({ sender, blockNumber }, masternode) {
+        return this._transact(() => {
+            revertUnless(this.pendingRegistrationTransfer(masternode) === sender, "No pending registration transfer to the caller");
+
+            if (this.registrationStatus(sender) !== RegistrationStatus.UNREGISTERED) {
+                throw new ModelRevert("AccountAlreadyRegistered", [sender, this.registrationStatus(sender)]);
+            }
+
+            this._pendingRegistrationTransfer.delete(masternode);
+
+            if (this.registrationStatus(masternode) === RegistrationStatus.REGISTERED && !this.inactive(masternode)) {
+                this._update(masternode, 0n, blockNumber);
+
+                this._checkpointRewards(masternode, false, blockNumber);
+                this._checkpointRewards(sender, true, blockNumber);
+            }
+
+            const rewardRecipient = this.rewardRecipient(masternode);
+            const withdrawalAddress = this.withdrawalAddress(masternode);
+
+            this._registrationStatus.set(sender, this.registrationStatus(masternode));
+            this._accounts.set(sender, this.accounts(masternode));
+            this._collateral.set(sender, this.collateral(masternode));
+            this._withdrawalDelay.set(sender, this.withdrawalDelay(masternode));
+            this._lastHeartbeatBlock.set(sender, this.lastHeartbeatBlock(masternode));
+            this._rewardRecipient.set(sender, rewardRecipient === masternode ? sender : rewardRecipient);
+            this._withdrawalAddress.set(sender, withdrawalAddress === masternode ? sender : withdrawalAddress);
+
+            if (this.inactive(masternode)) {
+                this._inactive.add(sender);
+            } else {
+                this._inactive.delete(sender);
+            }
+
+            if (this.tokenCollateral(masternode)) {
+                this._tokenCollateral.add(sender);
+            } else {
+                this._tokenCollateral.delete(sender);
+            }
+
+            if (this.legacy(masternode)) {
+                this._legacy.add(sender);
+            } else {
+                this._legacy.delete(sender);
+            }
+
+            this._registrationStatus.delete(masternode);
+            this._accounts.delete(masternode);
+            this._collateral.delete(masternode);
+            this._withdrawalDelay.delete(masternode);
+            this._lastHeartbeatBlock.delete(masternode);
+            this._inactive.delete(masternode);
+            this._tokenCollateral.delete(masternode);
+            this._legacy.delete(masternode);
+            this._rewardRecipient.delete(masternode);
+            this._withdrawalAddress.delete(masternode);
+
+            this.masternodes = this.masternodes.map((address) => address === masternode ? sender : address);
+
+            return 0n;
+        });
+    }
+
+    fundRewards({ sender, value, blockNumber }, durationBlocks) {
+        return this._transact(() => {
+            this.balance += value;
+
+            revertUnless(value >= MIN_CAMPAIGN_AMOUNT, "Campaign amount too low");
+            revertUnless(durationBlocks > 0n && durationBlocks <= MAX_CAMPAIGN_DURATION, "Invalid campaign duration");
+
+            this._distribute(value, blockNumber);
+
+            const endBlock = (blockNumber + durationBlocks + CAMPAIGN_PERIOD - 1n) / CAMPAIGN_PERIOD * CAMPAIGN_PERIOD;
+            const rate = value / (endBlock - blockNumber);
+
+            this._campaignUpdateBlock = blockNumber;
+            this._campaignLockedAmount += rate * (endBlock - blockNumber);
+            this._campaignReleaseRate += rate;
+            this._campaignRateDecrements.set(endBlock, (this._campaignRateDecrements.get(endBlock) ?? 0n) + rate);
+
+            this._campaigns = [...this._campaigns, { funder: sender, amount: value, startBlock: blockNumber, endBlock }];
+
+            return 0n;
+        });
+    }
+
+    claimRewards({ sender, blockNumber }) {
+        return this._transact(() => this._claimRewards(sender, blockNumber));
+    }
+
+    startWithdrawal({ sender, blockNumber }) {
+        return this._transact(() => {
+            const payout = this._claimRewards(sender, blockNumber);
+
+            if (this.inactive(sender)) {
+                this._inactive.delete(sender);
+            } else {
+                this.totalRegistrations -= 1n;
+                this._checkpointRewards(sender, false, blockNumber);
+            }
+
+            const applicableCollateral = this.collateral(sender);
+
+            if (!this.tokenCollateral(sender)) {
+                this.withdrawingCollateralAmount += applicableCollateral;
+                this.totalCollateralAmount -= applicableCollateral;
+            }
+
+            this._registrationStatus.set(sender, RegistrationStatus.WITHDRAWING);
+            this._withdrawalDelay.set(sender, this.WITHDRAWAL_DELAY);
+
+            return payout;
+        });
+    }
+
+    cancelWithdrawal({ sender, blockNumber }) {
+        return this._transact(() => {
+            if (this.registrationStatus(sender) !== RegistrationStatus.WITHDRAWING) {
+                throw new ModelRevert("WithdrawalNotStarted", [sender, this.registrationStatus(sender)]);
+            }
+
+            this._distribute(0n, blockNumber);
+
+            const applicableCollateral = this.collateral(sender);
+
+            if (!this.tokenCollateral(sender)) {
+                this.withdrawingCollateralAmount -= applicableCollateral;
+                this.totalCollateralAmount += applicableCollateral;
+            }
+
+            this._accounts.set(sender, { balance: 0n, lastDividends: this.totalDividends, lastClaimedBlock: blockNumber });
+            this._registrationStatus.set(sender, RegistrationStatus.REGISTERED);
+            this._withdrawalDelay.delete(sender);
+
+            this.totalRegistrations += 1n;
+            this._checkpointRewards(sender, true, blockNumber);
+
+            this._lastHeartbeatBlock.set(sender, blockNumber);
+
+            return 0n;
+        });
+    }
+
+    heartbeat({ sender, blockNumber }) {
+        return this._transact(() => {
+            if (this.registrationStatus(sender) !== RegistrationStatus.REGISTERED) {
+                throw new ModelRevert("AccountNotRegistered", [sender, this.registrationStatus(sender)]);
+            }
+
+            if (this.inactive(sender)) {
+                this._distribute(0n, blockNumber);
+
+                this._accounts.set(sender, { ...this.accounts(sender), lastDividends: this.totalDividends });
+
+                this._inactive.delete(sender);
+                this.totalRegistrations += 1n;
+                this._checkpointRewards(sender, true, blockNumber);
+            } else {
+                this._update(sender, 0n, blockNumber);
+            }
+
+            this._lastHeartbeatBlock.set(sender, blockNumber);
+
+            return 0n;
+        });
+    }
+
+    markInactive({ blockNumber }, account) {
+        return this._transact(() => {
+            revertUnless(this.heartbeatWindow > 0n, "Heartbeats are not enabled");
+            revertUnless(this.registrationStatus(account) === RegistrationStatus.REGISTERED && !this.inactive(account), "Account not active");
+            revertUnless(blockNumber - this.lastHeartbeatBlock(account) > this.heartbeatWindow, "Heartbeat window has not elapsed");
+
+            this._distribute(0n, blockNumber);
+
+            const forfeited = this.totalDividends - this.accounts(account).lastDividends;
+
+            this._accounts.set(account, { ...this.accounts(account), lastDividends: this.totalDividends });
+
+            this.lastBalance -= forfeited;
+
+            this._pushRewardCheckpoint(account, { blockNumber, active: false, value: this._earnedRewards(account) - forfeited });
+
+            this._inactive.add(account);
+            this.totalRegistrations -= 1n;
+
+            return 0n;
+        });
+    }
+
+    completeWithdrawal({ sender, blockNumber }) {
+        return this._transact(() => {
+            if (this.registrationStatus(sender) !== RegistrationStatus.WITHDRAWING) {
+                throw new ModelRevert("WithdrawalNotStarted", [sender, this.registrationStatus(sender)]);
+            }
+
+            const elapsed = blockNumber - this.accounts(sender).lastClaimedBlock;
+
+            if (elapsed < this.withdrawalDelay(sender)) {
+                throw new ModelRevert("WithdrawalDelayNotElapsed", [sender, this.withdrawalDelay(sender) - elapsed]);
+            }
+
+            const applicableCollateral = this.collateral(sender);
+            const withToken = this.tokenCollateral(sender);
+
+            this._releaseCollateral(sender);
+
+            if (withToken) {
+                this.tokenBalance -= applicableCollateral;
+
+                return 0n;
+            }
+
+            this.balance -= applicableCollateral;
+
+            return applicableCollateral;
+        });
+    }
+
+    completeWithdrawalEarly({ sender, blockNumber }, masternode) {
+        return this._transact(() => {
+            if (this.registrationStatus(masternode) !== RegistrationStatus.WITHDRAWING) {
+                throw new ModelRevert("WithdrawalNotStarted", [masternode, this.registrationStatus(masternode)]);
+            }
+
+            if (sender !== this.withdrawalAddress(masternode)) {
+                throw new ModelRevert("NotWithdrawalAddress", [masternode, this.withdrawalAddress(masternode)]);
+            }
+
+            if (this.tokenCollateral(masternode)) {
+                throw new ModelRevert("TokenCollateralNotAllowed", [masternode]);
+            }
+
+            const applicableCollateral = this.collateral(masternode);
+            let penalty = 0n;
+
+            if (blockNumber - this.accounts(masternode).lastClaimedBlock < this.withdrawalDelay(masternode)) {
+                penalty = applicableCollateral * this.EARLY_WITHDRAWAL_PENALTY / PENALTY_DENOMINATOR;
+            }
+
+            this._releaseCollateral(masternode);
+
+            this._distribute(applicableCollateral - penalty, blockNumber);
+
+            this.balance -= applicableCollateral - penalty;
+
+            return applicableCollateral - penalty;
+        });
+    }
+
+    _register(sender, value, blockNumber, rewardRecipient, withdrawalAddress, withToken) {
+        this.balance += value;
+
+        const requiredCollateral = this.legacy(sender) ? this.COLLATERAL_AMOUNT_LEGACY : this.COLLATERAL_AMOUNT;
+
+        if (withToken) {
+            if (this.collateralToken === ZERO_ADDRESS) {
+                throw new ModelRevert("TokenCollateralNotEnabled", []);
+            }
+        } else if (value !== requiredCollateral) {
+            throw new ModelRevert("IncorrectCollateralAmount", [requiredCollateral, value, this.legacy(sender)]);
+        }
+
+        if (this.registrationStatus(sender) !== RegistrationStatus.UNREGISTERED) {
+            throw new ModelRevert("AccountAlreadyRegistered", [sender, this.registrationStatus(sender)]);
+        }
+
+        if (rewardRecipient === ZERO_ADDRESS || withdrawalAddress === ZERO_ADDRESS) {
+            throw new ModelRevert("InvalidPayoutAddress", []);
+        }
+
+        this._update(sender, value, blockNumber);
+
+        this._accounts.set(sender, { balance: 0n, lastDividends: this.totalDividends, lastClaimedBlock: blockNumber });
+        this._registrationStatus.set(sender, RegistrationStatus.REGISTERED);
+
+        this.totalRegistrations += 1n;
+        this._checkpointRewards(sender, true, blockNumber);
+        this._collateral.set(sender, requiredCollateral);
+
+        if (withToken) {
+            this._tokenCollateral.add(sender);
+            this.tokenCollateralAmount += requiredCollateral;
+            this.tokenBalance += requiredCollateral;
+        } else {
+            this.totalCollateralAmount += requiredCollateral;
+        }
+
+        this._rewardRecipient.set(sender, rewardRecipient);
+        this._withdrawalAddress.set(sender, withdrawalAddress);
+
+        this._lastHeartbeatBlock.set(sender, blockNumber);
+
+        this.masternodes.push(sender);
+        this.masternodeCount += 1n;
+
+        return 0n;
+    }
+
+    _releaseCollateral(account) {
+        if (this.tokenCollateral(account)) {
+            this.tokenCollateralAmount -= this.collateral(account);
+        } else {
+            this.withdrawingCollateralAmount -= this.collateral(account);
+        }
+
+        this._legacy.delete(account);
+
+        this._registrationStatus.delete(account);
+        this._accounts.delete(account);
+        this._rewardRecipient.delete(account);
+        this._withdrawalAddress.delete(account);
+        this._lastHeartbeatBlock.delete(account);
+        this._collateral.delete(account);
+        this._withdrawalDelay.delete(account);
+        this._tokenCollateral.delete(account);
+        this._pendingRegistrationTransfer.delete(account);
+
+        this.masternodes = this.masternodes.filter((address) => address !== account);
+        this.masternodeCount -= 1n;
+    }
+
+    _update(sender, registrationOffset, blockNumber) {
+        this._distribute(registrationOffset, blockNumber);
+
+        if (registrationOffset > 0n || this.inactive(sender)) {
+            return;
+        }
+
+        const account = this.accounts(sender);
+        const owing = this.totalDividends - account.lastDividends;
+
+        if (owing > 0n) {
+            this._accounts.set(sender, { ...account, balance: account.balance + owing, lastDividends: this.totalDividends });
+        }
+    }
+
+    _distribute(registrationOffset, blockNumber) {
+        if (this._campaignReleaseRate > 0n) {
+            const { locked, rate } = this._campaignState(blockNumber);
+
+            this._campaignLockedAmount = locked;
+            this._campaignReleaseRate = rate;
+            this._campaignUpdateBlock = blockNumber;
+        }
+
+        const amount = this.balance - this.lastBalance - this.totalCollateralAmount - this.withdrawingCollateralAmount - registrationOffset - this.lockedCampaignAmount(blockNumber);
+
+        if (this.totalRegistrations > 0n) {
+            const dividend = amount / this.totalRegistrations;
+
+            this.totalDividends += dividend;
+            this.lastBalance += dividend * this.totalRegistrations;
+
+            if (dividend > 0n) {
+                // A later distribution in the same block replaces the block's checkpoint.
+                this._dividendCheckpoints = [
+                    ...this._dividendCheckpoints.filter((checkpoint) => checkpoint.blockNumber !== blockNumber),
+                    { blockNumber, totalDividends: this.totalDividends },
+                ];
+            }
+        }
+    }
+
+    _campaignState(blockNumber) {
+        let locked = this._campaignLockedAmount;
+        let rate = this._campaignReleaseRate;
+        let from = this._campaignUpdateBlock;
+
+        while (rate > 0n) {
+            const periodEnd = (from / CAMPAIGN_PERIOD + 1n) * CAMPAIGN_PERIOD;
+
+            if (periodEnd > blockNumber) {
+                locked -= rate * (blockNumber - from);
+                break;
+            }
+
+            locked -= rate * (periodEnd - from);
+            rate -= this._campaignRateDecrements.get(periodEnd) ?? 0n;
+            from = periodEnd;
+        }
+
+        return { locked, rate };
+    }
+
+    _earnedRewards(address) {
+        const checkpoint = (this._rewardCheckpoints.get(address) ?? []).at(-1);
+
+        if (checkpoint === undefined) {
+            return 0n;
+        }
+
+        return checkpoint.active ? this.totalDividends - checkpoint.value : checkpoint.value;
+    }
+
+    _checkpointRewards(address, active, blockNumber) {
+        const earned = this._earnedRewards(address);
+
+        this._pushRewardCheckpoint(address, { blockNumber, active, value: active ? this.totalDividends - earned : earned });
+    }
+
+    _pushRewardCheckpoint(address, checkpoint) {
+        this._rewardCheckpoints.set(address, [...(this._rewardCheckpoints.get(address) ?? []), checkpoint]);
+    }
+
+    _claimRewards(sender, blockNumber) {
+        if (this.registrationStatus(sender) !== RegistrationStatus.REGISTERED) {
+            throw new ModelRevert("AccountNotRegistered", [sender, this.registrationStatus(sender)]);
+        }
+
+        this._update(sender, 0n, blockNumber);
+
+        const account = this.accounts(sender);
+        const claimAmount = account.balance;
+
+        this._accounts.set(sender, { ...account, balance: 0n, lastClaimedBlock: blockNumber });
+
+        this.lastBalance -= claimAmount;
+        this.balance -= claimAmount;
+
+        return claimAmount;
+    }
+
+    _transact(action) {
+        const snapshot = this._snapshot();
+
+        try {
+            return action();
+        } catch (error) {
+            this._restore(snapshot);
+            throw error;
+        }
+    }
+
+    _snapshot() {
+        return {
+            ...this,
+            masternodes: [...this.masternodes],
+            _accounts: new Map(this._accounts),
+            _registrationStatus: new Map(this._registrationStatus),
+            _legacy: new Set(this._legacy),
+            _rewardRecipient: new Map(this._rewardRecipient),
+            _withdrawalAddress: new Map(this._withdrawalAddress),
+            _lastHeartbeatBlock: new Map(this._lastHeartbeatBlock),
+            _inactive: new Set(this._inactive),
+            _collateral: new Map(this._collateral),
+            _tokenCollateral: new Set(this._tokenCollateral),
+            _withdrawalDelay: new Map(this._withdrawalDelay),
+            _pendingParameterChanges: new Map(this._pendingParameterChanges),
+            _pendingRegistrationTransfer: new Map(this._pendingRegistrationTransfer),
+            _rewardCheckpoints: new Map(this._rewardCheckpoints),
+            _campaignRateDecrements: new Map(this._campaignRateDecrements),
+        };
+    }
+
+    _restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+}
+
+module.exports = {
+    RegistrationStatus,
+    ModelRevert,
+    MasternodeModel,
+};
@@ -0,0 +1,159 @@
+const { formatEther } = require("ethers");
+
+// Builds the reward history of a masternode account from the contract's reward checkpoints and claim events, e.g. for tax reporting.
+// Periods are calendar periods in UTC. A period covers the blocks with a timestamp from its start up to, but not including, its end.
+
+const PERIODS = ["day", "month", "year"];
+
+// Returns the start of each period overlapping [start, end), clipped to the range, followed by 'end'.
+function periodBoundaries(start, end, period) {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`Unknown period ${period}, expected one of ${PERIODS.join(", ")}`);
+    }
+
+    if (!(start < end)) {
+        throw new Error("The start of the range must be before its end");
+    }
+
+    const boundaries = [start];
+    let boundary = start;
+
+    for (;;) {
+        const next = new Date(Date.UTC(
+            boundary.getUTCFullYear() + (period === "year" ? 1 : 0),
+            period === "year" ? 0 : boundary.getUTCMonth() + (period === "month" ? 1 : 0),
+            period === "day" ? boundary.getUTCDate() + 1 : 1));
+
+        if (next >= end) {
+            break;
+        }
+
+        boundaries.push(next);
+        boundary = next;
+    }
+
+    boundaries.push(end);
+
+    return boundaries;
+}
+
+// Returns the number of the last block with a timestamp before the given date, or -1 if there is none.
+async function findLastBlockBefore(provider, date) {
+    const timestamp = Math.floor(date.getTime() / 1000);
+
+    let low = 0;
+    let high = await provider.getBlockNumber() + 1;
+
+    // Find the first block at or after the timestamp; the one before it is the last block before it.
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+
+        if ((await provider.getBlock(middle)).timestamp >= timestamp) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+
+    return low - 1;
+}
+
+async function rewardsEarnedAt(masternodeContract, account, blockNumber) {
+    return blockNumber < 0 ? 0n : masternodeContract.rewardsEarnedAt(account, blockNumber);
+}
+
+// Returns the rewards the account earned in each period of the range, claimed or not.
+async function getPeriodRewards(masternodeContract, account, { start, end, period = "month" }) {
+    const provider = masternodeContract.runner.provider;
+    const boundaries = periodBoundaries(start, end, period);
+    const rows = [];
+
+    let fromBlock = await findLastBlockBefore(provider, start);
+    let earned = await rewardsEarnedAt(masternodeContract, account, fromBlock);
+
+    for (let i = 1; i < boundaries.length; i++) {
+        const toBlock = await findLastBlockBefore(provider, boundaries[i]);
+        const earnedBy = await rewardsEarnedAt(masternodeContract, account, toBlock);
+
+        rows.push({
+            periodStart: boundaries[i - 1],
+            periodEnd: boundaries[i],
+            fromBlock: fromBlock + 1,
+            toBlock,
+            rewards: earnedBy - earned,
+        });
+
+        fromBlock = toBlock;
+        earned = earnedBy;
+    }
+
+    return rows;
+}
+
+// Returns the rewards claimed by the account in the range, including those paid out when starting a withdrawal.
+async function getClaims(masternodeContract, account, { start, end }) {
+    const provider = masternodeContract.runner.provider;
+    const fromBlock = await findLastBlockBefore(provider, start) + 1;
+    const toBlock = await findLastBlockBefore(provider, end);
+
+    if (toBlock < fromBlock) {
+        return [];
+    }
+
+    const logs = await masternodeContract.queryFilter(masternodeContract.filters.RewardsClaimed(account), fromBlock, toBlock);
+    const rows = [];
+
+    for (const log of logs) {
+        const block = await provider.getBlock(log.blockNumber);
+
+        rows.push({
+            timestamp: new Date(block.timestamp * 1000),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            amount: log.args._amount,
+        });
+    }
+
+    return rows;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map((column) => column.header).join(",")];
+
+    for (const row of rows) {
+        lines.push(columns.map((column) => column.value(row)).join(","));
+    }
+
+    return lines.join("\n");
+}
+
+function periodRewardsToCsv(rows) {
+    return toCsv([
+        { header: "period_start", value: (row) => row.periodStart.toISOString() },
+        { header: "period_end", value: (row) => row.periodEnd.toISOString() },
+        { header: "from_block", value: (row) => row.fromBlock },
+        { header: "to_block", value: (row) => row.toBlock },
+        { header: "rewards_wei", value: (row) => row.rewards },
+        { header: "rewards_strax", value: (row) => formatEther(row.rewards) },
+    ], rows);
+}
+
+function claimsToCsv(rows) {
+    return toCsv([
+        { header: "timestamp", value: (row) => row.timestamp.toISOString() },
+        { header: "block", value: (row) => row.blockNumber },
+        { header: "transaction", value: (row) => row.transactionHash },
+        { header: "amount_wei", value: (row) => row.amount },
+        { header: "amount_strax", value: (row) => formatEther(row.amount) },
+    ], rows);
+}
+
+module.exports = {
+    PERIODS,
+    periodBoundaries,
+    findLastBlockBefore,
+    getPeriodRewards,
+    getClaims,
+    periodRewardsToCsv,
+    claimsToCsv,
+};